@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import {
+  createLocalSwarm,
+  createDHT,
+  destroyDHT,
+  putManifestPointer,
+  getManifestPointer,
+  putImmutable,
+  getImmutable
+} from './lib/dht-store.js';
+import { generateKeypair } from './lib/crypto-utils.js';
+
+// Run a DHT swarm on loopback so share/find can use --discovery=dht without internet
+const args = process.argv.slice(2);
+const selfTest = args.includes('--self-test');
+const size = parseInt(args.find(arg => !arg.startsWith('--'))) || 4;
+
+// Give up on a self-test that hangs instead of waiting for the DHT timeouts
+const SELF_TEST_TIMEOUT = 60000;
+
+if (size < 2) {
+  console.error('Error: A swarm needs at least 2 nodes.');
+  process.exit(1);
+}
+
+/**
+ * Round-trip BEP44 items between two clients of the swarm
+ * @returns {Promise<boolean>} True if every check passed
+ */
+async function runSelfTest(swarm) {
+  const options = { bootstrap: swarm.bootstrap, minNodes: size, host: '127.0.0.1' };
+  const publisher = await createDHT(options);
+  const reader = await createDHT(options);
+
+  const { publicKey, privateKey } = generateKeypair();
+  const infohash = () => crypto.randomBytes(20).toString('hex');
+  let passed = true;
+
+  const check = (name, ok) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}`);
+    if (!ok) passed = false;
+  };
+
+  try {
+    const first = infohash();
+    await putManifestPointer(publisher, publicKey, privateKey, first, 1);
+    let pointer = await getManifestPointer(reader, publicKey, 10000);
+    check('manifest pointer round trip', pointer?.manifestInfohash === first && pointer.seq === 1);
+
+    const second = infohash();
+    await putManifestPointer(publisher, publicKey, privateKey, second, 2, null, 1);
+    pointer = await getManifestPointer(reader, publicKey, 10000);
+    check('manifest pointer update with compare-and-swap', pointer?.manifestInfohash === second && pointer.seq === 2);
+
+    // Two devices race from seq 2: the first put wins, the second is told to re-read.
+    // A node does not store its own puts, so the winning device knows every other node
+    // before it puts and leaves the swarm afterwards (in a real DHT it would not be
+    // among the nodes closest to the key).
+    const winner = infohash();
+    const loser = infohash();
+    const racer = await createDHT({ ...options, minNodes: size + 2, bootstrapTimeout: 5000 });
+    await putManifestPointer(racer, publicKey, privateKey, winner, 3, null, 2);
+    await destroyDHT(racer);
+    let conflict = null;
+    try {
+      await putManifestPointer(reader, publicKey, privateKey, loser, 3, null, 2);
+    } catch (err) {
+      conflict = err.code;
+    }
+    pointer = await getManifestPointer(reader, publicKey, 10000);
+    check('racing writer gets a compare-and-swap conflict', (conflict === 301 || conflict === 302) && pointer?.manifestInfohash === winner);
+
+    await putManifestPointer(reader, publicKey, privateKey, loser, pointer.seq + 1, null, pointer.seq);
+    pointer = await getManifestPointer(publisher, publicKey, 10000);
+    check('losing writer retries on top of the re-read seq', pointer?.manifestInfohash === loser && pointer.seq === 4);
+
+    const channel = infohash();
+    await putManifestPointer(publisher, publicKey, privateKey, channel, 1, 'news');
+    pointer = await getManifestPointer(reader, publicKey, 10000, 'news');
+    check('channel pointer stored under its salt', pointer?.manifestInfohash === channel && pointer.seq === 1);
+
+    const value = JSON.stringify({ content: 'hello', nonce: infohash() });
+    const hash = await putImmutable(publisher, value);
+    const item = await getImmutable(reader, hash, 10000);
+    check('immutable item round trip', item?.toString('utf8') === value);
+  } catch (err) {
+    check(`round trip (${err.message})`, false);
+  } finally {
+    await destroyDHT(publisher);
+    await destroyDHT(reader);
+  }
+
+  return passed;
+}
+
+const swarm = await createLocalSwarm(size);
+const bootstrap = swarm.bootstrap.map(node => `${node.host}:${node.port}`).join(',');
+
+if (selfTest) {
+  setTimeout(() => {
+    console.error(`Error: Self-test did not finish within ${SELF_TEST_TIMEOUT / 1000}s`);
+    process.exit(1);
+  }, SELF_TEST_TIMEOUT).unref();
+
+  console.log(`Local DHT swarm running with ${size} nodes on 127.0.0.1, running self-test...`);
+  const passed = await runSelfTest(swarm);
+  await swarm.destroy();
+  console.log(passed ? 'Self-test passed' : 'Self-test FAILED');
+  process.exit(passed ? 0 : 1);
+}
+
+console.log(`Local DHT swarm running with ${size} nodes on 127.0.0.1`);
+console.log('');
+console.log('Point clients at it with:');
+console.log(`  export DHT_BOOTSTRAP=${bootstrap} DHT_MIN_NODES=${size}`);
+console.log('');
+console.log('Press Ctrl+C to stop');
+
+const shutdown = async () => {
+  console.log('');
+  console.log('Shutting down...');
+  await swarm.destroy();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -2,87 +2,269 @@
 
 import fs from 'fs';
 import path from 'path';
-import http from 'http';
 import { fileURLToPath } from 'url';
-import { verifyMessage, verifyManifest } from './lib/crypto-utils.js';
-import { createClient, destroyClient, downloadJSON } from './lib/torrent-utils.js';
+import {
+  verifyMessage,
+  verifyManifest,
+  manifestHash,
+  verifyAnnounce,
+  verifySuccession,
+  verifyDeviceRevocation,
+  mergeDeviceRevocations
+} from './lib/crypto-utils.js';
+import {
+  createClient,
+  destroyClient,
+  downloadJSON,
+  parseManifestFilename,
+  messageEntryId,
+  loadPage
+} from './lib/torrent-utils.js';
+import { parseServerUrls, lookupFromServers, subscribeToServer, isValidChannel, channelKey } from './lib/signaling-client.js';
+import { createDHT, destroyDHT, getManifestPointer, getImmutable } from './lib/dht-store.js';
+import {
+  isEncryptedMessage,
+  verifyEncryptedMessage,
+  decryptMessage,
+  isGroupMessage,
+  verifyGroupMessage,
+  decryptGroupMessage,
+  unwrapGroupKeys
+} from './lib/encryption.js';
+import { loadKeys } from './lib/keystore.js';
+import { resolveIdentity } from './lib/identity.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const MESSAGES_DIR = path.join(__dirname, 'data', 'messages');
-
-// Signaling server URL (can be overridden via environment variable)
-const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
-
-// Lookup from signaling server
-async function lookupFromServer(publicKeyHex) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(SERVER_URL);
-    const options = {
-      hostname: url.hostname,
-      port: url.port || 80,
-      path: `/lookup/${publicKeyHex}`,
-      method: 'GET'
-    };
-
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(JSON.parse(data));
-        } else if (res.statusCode === 404) {
-          resolve(null);
-        } else {
-          reject(new Error(`Server error: ${data}`));
-        }
-      });
-    });
+const DATA_DIR = path.join(__dirname, 'data');
+const MESSAGES_DIR = path.join(DATA_DIR, 'messages');
+const HEADS_FILE = path.join(DATA_DIR, 'heads.json');
+const REVOCATIONS_FILE = path.join(DATA_DIR, 'device-revocations.json');
 
-    req.on('error', reject);
-    req.end();
-  });
-}
+// Signaling server URLs, comma-separated (can be overridden via environment variable)
+const SERVER_URLS = parseServerUrls(process.env.SERVER_URL || 'http://localhost:3000');
 
-// Try to load manifest from local files
-function tryLoadLocalManifest(publicKeyHex) {
+// Subscription stream settings (server sends a heartbeat every 25s)
+const STREAM_IDLE_TIMEOUT = 60000;
+const RECONNECT_MIN_DELAY = 1000;
+
+// Try to load the manifest with a given seq from local files
+function tryLoadLocalManifest(publicKeyHex, channel, seq) {
   try {
     if (!fs.existsSync(MESSAGES_DIR)) return null;
-    const files = fs.readdirSync(MESSAGES_DIR);
-    const keyPrefix = publicKeyHex.slice(0, 8);
-    const manifestFiles = files.filter(f => f.startsWith(`manifest-${keyPrefix}`));
-
-    if (manifestFiles.length === 0) return null;
+    const manifestFile = fs.readdirSync(MESSAGES_DIR)
+      .find(file => parseManifestFilename(file, publicKeyHex, channel) === seq);
 
-    // Sort by seq number and get the latest
-    manifestFiles.sort((a, b) => {
-      const seqA = parseInt(a.split('-')[2].replace('.json', ''));
-      const seqB = parseInt(b.split('-')[2].replace('.json', ''));
-      return seqB - seqA;
-    });
+    if (!manifestFile) return null;
 
-    const latestManifest = fs.readFileSync(path.join(MESSAGES_DIR, manifestFiles[0]), 'utf8');
-    return JSON.parse(latestManifest);
+    return JSON.parse(fs.readFileSync(path.join(MESSAGES_DIR, manifestFile), 'utf8'));
   } catch (e) {
     return null;
   }
 }
 
+// Load the last verified manifest of each followed feed (feed key -> { seq, hash, messages, pages })
+function loadHeads() {
+  if (fs.existsSync(HEADS_FILE)) {
+    return JSON.parse(fs.readFileSync(HEADS_FILE, 'utf8'));
+  }
+  return {};
+}
+
+// Save the last verified manifests
+function saveHeads(heads) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(HEADS_FILE, JSON.stringify(heads, null, 2));
+}
+
+// Load the device revocations seen for followed keys (public key -> revocations)
+function loadRevocations() {
+  if (fs.existsSync(REVOCATIONS_FILE)) {
+    return JSON.parse(fs.readFileSync(REVOCATIONS_FILE, 'utf8'));
+  }
+  return {};
+}
+
+// Device revocations known for a key
+function knownRevocations(publicKey) {
+  return loadRevocations()[publicKey] || [];
+}
+
+// Device revocations among candidates from a server entry or manifest that are signed by the key itself
+function signedRevocations(publicKey, candidates) {
+  return (candidates || []).filter(revocation => revocation.publicKey === publicKey && verifyDeviceRevocation(revocation));
+}
+
+// Record device revocations from a server entry or manifest, only those signed by the key itself.
+// They are kept on disk, so a revoked device cannot hide them by publishing without them.
+function noteRevocations(publicKey, candidates) {
+  const valid = signedRevocations(publicKey, candidates);
+  if (valid.length === 0) return;
+
+  const all = loadRevocations();
+  const current = all[publicKey] || [];
+  const merged = mergeDeviceRevocations(current, valid);
+  const added = merged.filter(revocation => !current.some(known =>
+    known.deviceKey === revocation.deviceKey && known.effectiveAt === revocation.effectiveAt));
+  if (added.length === 0) return;
+
+  for (const { deviceKey, effectiveAt } of added) {
+    console.error(`Device key ${deviceKey} of ${publicKey.slice(0, 16)}... was REVOKED at ${new Date(effectiveAt).toISOString()}`);
+  }
+  all[publicKey] = merged;
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(REVOCATIONS_FILE, JSON.stringify(all, null, 2));
+}
+
+// Hashes of the sealed pages of a manifest, oldest first
+function pageHashes(manifest) {
+  return (manifest.pages || []).map(pointer => pointer.hash);
+}
+
+// Number of leading pages two page lists have in common
+function commonPages(hashes, pages) {
+  let common = 0;
+  while (common < hashes.length && common < pages.length && hashes[common] === pages[common].hash) {
+    common++;
+  }
+  return common;
+}
+
+// Compare a verified manifest with the last head seen for its feed
+// Entries of the head may since have been sealed into pages, those pages are loaded to find them.
+// Returns the problems found; a rollback means the manifest must not be used
+async function checkChain(head, manifest, seq, hash, vouchedAt) {
+  const problems = { rollback: false, fork: null, missing: [] };
+
+  if (seq < head.seq) {
+    problems.rollback = true;
+    return problems;
+  }
+
+  const pages = manifest.pages || [];
+  const known = head.pages || [];
+  const common = commonPages(known, pages);
+
+  if (seq === head.seq && hash !== head.hash) {
+    problems.fork = `a different manifest was already verified for seq ${seq}`;
+  } else if (seq === head.seq + 1 && manifest.prev && manifest.prev.hash !== head.hash) {
+    problems.fork = `it does not extend the manifest verified for seq ${head.seq}`;
+  } else if (common < known.length) {
+    problems.fork = `it rewrites page ${common} of the history verified at seq ${head.seq}`;
+  }
+
+  const ids = new Set(manifest.messages.map(messageEntryId));
+  for (let index = common; index < pages.length; index++) {
+    for (const entry of (await loadFeedPage(manifest, index, vouchedAt)).messages) {
+      ids.add(messageEntryId(entry));
+    }
+  }
+  problems.missing = head.messages.filter(id => !ids.has(id));
+  return problems;
+}
+
+// Local keys, used to decrypt private messages addressed to us; unlocked on first use
+let localKeys;
+async function loadLocalKeys() {
+  if (localKeys === undefined) {
+    localKeys = null;
+    if (fs.existsSync(identity.keysFile)) {
+      try {
+        localKeys = await loadKeys(identity.keysFile, identity.label);
+        // Private messages are encrypted to the master key, a device key cannot open them
+        if (localKeys.deviceKey) {
+          console.error(`Warning: ${identity.label} is a device key, private messages are skipped`);
+          localKeys = null;
+        }
+      } catch (err) {
+        console.error(`Warning: Could not unlock ${identity.label}, private messages are skipped:`, err.message);
+      }
+    }
+  }
+  return localKeys;
+}
+
+// Open a private message envelope, returns the inner signed message or null if it is not for us
+async function openEnvelope(envelope, publisherKey) {
+  if (envelope.publicKey !== publisherKey || !verifyEncryptedMessage(envelope)) {
+    throw new Error('Encrypted message is not signed by the publisher');
+  }
+
+  const keys = await loadLocalKeys();
+  if (!keys) return null;
+
+  const message = decryptMessage(envelope, Buffer.from(keys.privateKey, 'hex'), Buffer.from(keys.publicKey, 'hex'));
+  if (message && message.publicKey !== envelope.publicKey) {
+    throw new Error('Encrypted message contains a message from another key');
+  }
+  return message;
+}
+
+// Channel keys of a group manifest, or null if the local keys are not a member
+async function loadGroupKeys(manifest) {
+  const keys = await loadLocalKeys();
+  if (!keys) return null;
+  return unwrapGroupKeys(manifest.group, manifest.publicKey, Buffer.from(keys.privateKey, 'hex'), Buffer.from(keys.publicKey, 'hex'));
+}
+
+// Open a group channel envelope, returns the inner signed message or null if we lack its key
+function openGroupEnvelope(envelope, publisherKey, groupKeys) {
+  if (envelope.publicKey !== publisherKey || !verifyGroupMessage(envelope)) {
+    throw new Error('Group message is not signed by the publisher');
+  }
+
+  if (!groupKeys) return null;
+
+  const message = decryptGroupMessage(envelope, groupKeys);
+  if (message && message.publicKey !== envelope.publicKey) {
+    throw new Error('Group message contains a message from another key');
+  }
+  return message;
+}
+
 // Parse command line args
 const args = process.argv.slice(2);
 const publicKeyHex = args.find(arg => !arg.startsWith('--'));
 const watchMode = args.includes('--watch');
+const pollMode = args.includes('--poll');
+const allowUnsigned = args.includes('--allow-unsigned');
 const watchIntervalArg = args.find(arg => arg.startsWith('--interval='));
 const watchInterval = watchIntervalArg ? parseInt(watchIntervalArg.split('=')[1]) * 1000 : 30000;
 
+// Paging through older messages: newest N entries, optionally only those before a time
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const LIMIT = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+const beforeArg = args.find(arg => arg.startsWith('--before='));
+const beforeValue = beforeArg ? beforeArg.split('=')[1] : null;
+const BEFORE = beforeValue === null ? null : /^\d+$/.test(beforeValue) ? parseInt(beforeValue) : Date.parse(beforeValue);
+
+// Discovery mode: server, dht or both (can be overridden via --discovery= or DISCOVERY)
+const discoveryArg = args.find(arg => arg.startsWith('--discovery='));
+const DISCOVERY = discoveryArg ? discoveryArg.split('=')[1] : (process.env.DISCOVERY || 'server');
+const useServer = DISCOVERY !== 'dht';
+const useDHT = DISCOVERY !== 'server';
+
+// Named feed of the publisher (default channel if not given)
+const channelArg = args.find(arg => arg.startsWith('--channel='));
+const CHANNEL = channelArg ? channelArg.split('=')[1] : null;
+
 if (!publicKeyHex) {
-  console.log('Usage: node find-messages.js <public-key> [--watch] [--interval=30]');
+  console.log('Usage: node find-messages.js <public-key> [--watch] [--poll] [--interval=30] [--limit=N] [--before=time] [--discovery=server] [--channel=name] [--identity=name]');
   console.log('');
   console.log('Options:');
-  console.log('  --watch          Continuously monitor for new messages');
-  console.log('  --interval=N     Poll interval in seconds (default: 30)');
+  console.log('  --watch          Continuously monitor for new messages (push updates)');
+  console.log('  --poll           Poll the server instead of subscribing to push updates');
+  console.log('  --interval=N     Poll interval in seconds, also used while the stream is down (default: 30)');
+  console.log('  --limit=N        Show the newest N messages, loading older pages as needed');
+  console.log('  --before=TIME    Only show messages older than TIME (ISO date or ms timestamp)');
+  console.log('  --allow-unsigned Accept server entries without a publisher signature (older servers)');
+  console.log('  --discovery=MODE Where to look up the manifest: server, dht or both (default: server)');
+  console.log('  --channel=NAME   Follow a named channel of the publisher instead of the default one');
+  console.log('  --identity=NAME  Local identity whose keys decrypt private and group messages');
   console.log('');
   console.log('Environment:');
-  console.log('  SERVER_URL       Signaling server URL (default: http://localhost:3000)');
+  console.log('  SERVER_URL       Signaling server URL(s), comma-separated (default: http://localhost:3000)');
+  console.log('  DISCOVERY        Default discovery mode');
+  console.log('  IDENTITY         Local identity to use when --identity is not given');
   process.exit(1);
 }
 
@@ -92,19 +274,224 @@ if (!/^[0-9a-fA-F]{64}$/.test(publicKeyHex)) {
   process.exit(1);
 }
 
+if (!['server', 'dht', 'both'].includes(DISCOVERY)) {
+  console.error('Error: Invalid discovery mode. Use server, dht or both.');
+  process.exit(1);
+}
+
+// Identity whose keys decrypt private messages (can be overridden via --identity= or IDENTITY)
+const identityArg = args.find(arg => arg.startsWith('--identity='));
+let identity;
+try {
+  identity = resolveIdentity(DATA_DIR, identityArg ? identityArg.split('=')[1] : null);
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+
+if (CHANNEL !== null && !isValidChannel(CHANNEL)) {
+  console.error('Error: Invalid channel name. Use up to 64 letters, digits, "_" or "-".');
+  process.exit(1);
+}
+
+if (LIMIT !== null && (!Number.isInteger(LIMIT) || LIMIT <= 0)) {
+  console.error('Error: Invalid --limit. Use a positive whole number.');
+  process.exit(1);
+}
+
+if (BEFORE !== null && Number.isNaN(BEFORE)) {
+  console.error('Error: Invalid --before. Use an ISO date or a timestamp in milliseconds.');
+  process.exit(1);
+}
+
+if (watchMode && (LIMIT !== null || BEFORE !== null)) {
+  console.error('Error: --limit and --before page through history, they cannot be combined with --watch.');
+  process.exit(1);
+}
+
 let client = null;
 let lastSeq = -1;
-let knownInfohashes = new Set();
+let knownMessages = new Set();
+
+// DHT instance, bootstrapped on first use
+let dht = null;
+let dhtReady = null;
+// Entries resolved from the DHT; BEP44 items are signed by the key itself
+const dhtEntries = new WeakSet();
+
+// Key currently followed; moves along the chain when the publisher rotates keys
+let followedKey = publicKeyHex;
+const visitedKeys = new Set([publicKeyHex]);
+// Verified rotation or revocation statement of the followed key, if any
+let activeSuccession = null;
+
+// Entries of the followed channel
+function isFollowedChannel(entry) {
+  return (entry.channel || null) === CHANNEL;
+}
+
+// Entries must be for the followed channel and carry a valid publisher signature (unless --allow-unsigned)
+// The device revocations an entry carries are collected into `carried`, to be recorded once after the lookup
+function isTrustedEntry(entry, carried) {
+  if (!isFollowedChannel(entry)) return false;
+  if (!entry.signature) return allowUnsigned;
+  const valid = signedRevocations(followedKey, entry.revokedDevices);
+  carried.push(...valid);
+  const revocations = mergeDeviceRevocations(knownRevocations(followedKey), valid);
+  return verifyAnnounce(entry, followedKey, { revocations });
+}
+
+// Record and report a rotation or revocation attached to a server entry
+function noteSuccession(serverEntry) {
+  const succession = serverEntry.succession;
+  if (!succession || activeSuccession) return;
+
+  if (succession.publicKey !== followedKey || !verifySuccession(succession)) {
+    console.error('Warning: Ignoring succession statement with an invalid signature');
+    return;
+  }
+
+  activeSuccession = succession;
+  const effective = new Date(succession.effectiveAt).toISOString();
+
+  console.error('!'.repeat(60));
+  if (succession.newPublicKey) {
+    console.error(`Key ${followedKey} was ROTATED at ${effective}`);
+    console.error(`New key: ${succession.newPublicKey}`);
+  } else {
+    console.error(`Key ${followedKey} was REVOKED at ${effective}`);
+  }
+  console.error('Messages signed by this key after that time are not trusted.');
+  console.error('!'.repeat(60));
+}
+
+// Switch to the successor of the followed key, returns false at the end of the chain
+function followSuccession() {
+  if (!activeSuccession || !activeSuccession.newPublicKey) return false;
+
+  const nextKey = activeSuccession.newPublicKey;
+  if (visitedKeys.has(nextKey)) {
+    console.error('Warning: Succession chain loops back to', nextKey, '- not following');
+    return false;
+  }
+
+  console.log('');
+  console.log('Following key rotation to', nextKey);
+  console.log('');
+  visitedKeys.add(nextKey);
+  followedKey = nextKey;
+  activeSuccession = null;
+  lastSeq = -1;
+  return true;
+}
+
+// DHT instance, created on first use (also for messages stored as DHT items)
+async function getDHT() {
+  if (!dhtReady) dhtReady = createDHT();
+  dht = await dhtReady;
+  return dht;
+}
+
+// Resolve the followed key's BEP44 item into an entry shaped like a server entry
+async function lookupFromDHT() {
+  await getDHT();
+
+  const pointer = await getManifestPointer(dht, Buffer.from(followedKey, 'hex'), 30000, CHANNEL);
+  if (!pointer) return null;
+
+  const entry = {
+    publicKey: followedKey,
+    ...(CHANNEL && { channel: CHANNEL }),
+    manifestInfohash: pointer.manifestInfohash,
+    seq: pointer.seq
+  };
+  dhtEntries.add(entry);
+  return entry;
+}
+
+// Load a sealed page of the followed feed, checked against its pointer; pages are cached by hash
+const loadedPages = new Map();
+async function loadFeedPage(manifest, index, vouchedAt) {
+  const pointer = manifest.pages[index];
+  if (loadedPages.has(pointer.hash)) return loadedPages.get(pointer.hash);
+
+  const page = await loadPage(client, manifest, index, { channel: CHANNEL, revocations: knownRevocations(manifest.publicKey), vouchedAt });
+  loadedPages.set(pointer.hash, page);
+  return page;
+}
+
+// Pick the message entries to show, oldest first
+// By default the head and the pages sealed since the last visit; with --limit or --before
+// the newest matching entries, walking back through older pages only as far as needed.
+// Returns { entries, older } where older counts the matching entries left out
+async function collectEntries(manifest, previous, vouchedAt) {
+  const pages = manifest.pages || [];
+  const paging = LIMIT !== null || BEFORE !== null;
+  const matches = entry => BEFORE === null || entry.timestamp < BEFORE;
+  const wanted = LIMIT ?? Infinity;
+
+  let entries = manifest.messages.filter(matches);
+  // Without paging options, pages already listed at the last visit were shown before
+  const firstNew = paging ? 0 : (previous ? commonPages(previous.pages || [], pages) : pages.length);
+
+  let index = pages.length - 1;
+  for (; index >= firstNew && entries.length < wanted; index--) {
+    if (BEFORE !== null && pages[index].from >= BEFORE) continue;
+    try {
+      entries = [...(await loadFeedPage(manifest, index, vouchedAt)).messages.filter(matches), ...entries];
+    } catch (err) {
+      console.error(`Warning: Could not load page ${index}, its ${pages[index].count} message(s) are skipped:`, err.message);
+    }
+  }
+
+  let older = Math.max(entries.length - wanted, 0);
+  for (; index >= 0; index--) {
+    if (BEFORE === null || pages[index].from < BEFORE) older += pages[index].count;
+  }
+
+  entries.sort((a, b) => a.timestamp - b.timestamp);
+  return { entries: entries.slice(-wanted), older };
+}
 
 async function fetchAndDisplayMessages() {
-  // Query signaling server
-  console.log('Querying server for manifest...');
-  let serverEntry;
-  
-  try {
-    serverEntry = await lookupFromServer(publicKeyHex);
-  } catch (err) {
-    console.error('Could not reach server:', err.message);
+  let serverEntry = null;
+  let reachable = false;
+
+  // Query every signaling server, the highest verified seq wins
+  if (useServer) {
+    console.log('Querying server for manifest...');
+    try {
+      const carried = [];
+      const found = await lookupFromServers(SERVER_URLS, channelKey(followedKey, CHANNEL), entry => isTrustedEntry(entry, carried));
+      noteRevocations(followedKey, carried);
+      serverEntry = found ? found.entry : null;
+      reachable = true;
+      if (found && SERVER_URLS.length > 1) {
+        console.log('Using entry from', found.serverUrl);
+      }
+    } catch (err) {
+      console.error('Could not reach server:', err.message);
+    }
+  }
+
+  // The DHT item wins if it is newer than anything the servers know
+  if (useDHT) {
+    console.log('Querying DHT for manifest...');
+    try {
+      const dhtEntry = await lookupFromDHT();
+      reachable = true;
+      if (dhtEntry && (!serverEntry || dhtEntry.seq > serverEntry.seq)) {
+        // Keep a succession statement the server attached, it carries its own signature
+        if (serverEntry && serverEntry.succession) dhtEntry.succession = serverEntry.succession;
+        serverEntry = dhtEntry;
+        console.log('Using entry from DHT');
+      }
+    } catch (err) {
+      console.error('DHT lookup failed:', err.message);
+    }
+  }
+
+  if (!reachable) {
     return false;
   }
 
@@ -113,18 +500,119 @@ async function fetchAndDisplayMessages() {
     console.log('');
     console.log('Make sure the publisher has:');
     console.log('  1. Run share-message.js to publish messages');
-    console.log('  2. The server is running and reachable');
+    console.log(useServer ? '  2. The server is running and reachable' : '  2. Published with --discovery=dht or --discovery=both');
     return false;
   }
 
+  return displayManifest(serverEntry);
+}
+
+// Check a verified manifest against the stored head of the feed and advance the head
+// Returns false for a rollback, forks and missing messages are only reported
+async function checkHead(manifest, announcedSeq, vouchedAt) {
+  // Legacy manifests do not carry their seq, the signed announce does
+  const seq = manifest.seq ?? announcedSeq;
+  if (seq !== announcedSeq) {
+    console.error(`Warning: Manifest is for seq ${seq} but was announced as seq ${announcedSeq}`);
+  }
+
+  const feedKey = channelKey(followedKey, CHANNEL);
+  const heads = loadHeads();
+  const head = heads[feedKey];
+  const hash = manifestHash(manifest);
+
+  if (head) {
+    let problems;
+    try {
+      problems = await checkChain(head, manifest, seq, hash, vouchedAt);
+    } catch (err) {
+      console.error('Warning: Could not load new pages to check for missing messages:', err.message);
+      problems = { rollback: false, fork: null, missing: [] };
+    }
+    const { rollback, fork, missing } = problems;
+
+    if (rollback) {
+      console.error('!'.repeat(60));
+      console.error(`REFUSING manifest: ROLLBACK to seq ${seq}, seq ${head.seq} was already verified.`);
+      console.error('A server or peer is serving an old version of this feed.');
+      console.error('!'.repeat(60));
+      return false;
+    }
+    if (fork) {
+      console.error('!'.repeat(60));
+      console.error(`WARNING: FORK detected, ${fork}.`);
+      console.error('The publisher key signed two different histories (another device or a leaked key).');
+      console.error('!'.repeat(60));
+    }
+    if (missing.length > 0) {
+      console.error(`Warning: ${missing.length} message(s) listed at seq ${head.seq} are missing from seq ${seq}`);
+    }
+    if (!fork && seq > head.seq + 1) {
+      console.log(`Manifest chain not checked across seq ${head.seq + 1}-${seq - 1} (not seen)`);
+    } else if (!fork && seq === head.seq + 1 && manifest.prev) {
+      console.log('Manifest chain verified (extends seq', head.seq + ')');
+    }
+
+    if (seq <= head.seq) {
+      return true;
+    }
+  }
+
+  heads[feedKey] = {
+    seq,
+    hash,
+    messages: manifest.messages.map(messageEntryId),
+    pages: pageHashes(manifest),
+    updatedAt: Date.now()
+  };
+  saveHeads(heads);
+  return true;
+}
+
+async function displayManifest(serverEntry) {
   const manifestInfohash = serverEntry.manifestInfohash;
   const currentSeq = serverEntry.seq;
 
-  // In watch mode, check if seq changed
-  if (watchMode && currentSeq === lastSeq) {
+  noteSuccession(serverEntry);
+  noteRevocations(followedKey, serverEntry.revokedDevices);
+  // Announce and manifest carry no signed time, so their device delegation is checked when we
+  // receive them. The server's updatedAt is unsigned and a server could backdate it.
+  const receivedAt = Date.now();
+
+  // In watch mode, only act on a newer seq (servers may lag behind each other)
+  if (watchMode && currentSeq <= lastSeq) {
     return false; // No new messages
   }
 
+  // The server only relays the publisher's signature, never trust an entry it could have forged
+  if (dhtEntries.has(serverEntry)) {
+    console.log('DHT item signature verified');
+  } else if (!isFollowedChannel(serverEntry)) {
+    console.error('Refusing server entry for channel', serverEntry.channel || '(default)', '- not the followed channel');
+    return false;
+  } else if (!serverEntry.signature) {
+    if (!allowUnsigned) {
+      console.error('Refusing unsigned server entry for seq', currentSeq, '(use --allow-unsigned for older servers)');
+      return false;
+    }
+    console.error('!'.repeat(60));
+    console.error('WARNING: Server entry is not signed by the publisher.');
+    console.error('The manifest infohash may have been forged by the server.');
+    console.error('!'.repeat(60));
+  } else if (!verifyAnnounce(serverEntry, followedKey, { revocations: knownRevocations(followedKey), now: receivedAt })) {
+    console.error('!'.repeat(60));
+    console.error('REFUSING server entry: announce signature does not match the public key.');
+    if (serverEntry.delegation) {
+      console.error('It was signed by device key', serverEntry.delegation.deviceKey, '- the delegation is invalid, expired or revoked.');
+    }
+    console.error('The server returned an infohash the publisher did not sign.');
+    console.error('Infohash:', manifestInfohash, 'seq:', currentSeq);
+    console.error('!'.repeat(60));
+    return false;
+  } else {
+    console.log('Announce signature verified', serverEntry.delegation ? `(device key ${serverEntry.delegation.deviceKey.slice(0, 16)}...)` : '');
+  }
+
   console.log('Found manifest (seq:', currentSeq, ', infohash:', manifestInfohash, ')');
   lastSeq = currentSeq;
 
@@ -132,10 +620,9 @@ async function fetchAndDisplayMessages() {
   console.log('Loading manifest...');
   let manifest;
 
-  // Check if we have the manifest locally
-  const localManifest = tryLoadLocalManifest(publicKeyHex);
+  // Check if we have the manifest locally (same seq means same content)
+  const localManifest = tryLoadLocalManifest(followedKey, CHANNEL, currentSeq);
   if (localManifest && localManifest.messages) {
-    // Check if local manifest matches the server's infohash (same seq means same content)
     manifest = localManifest;
     console.log('Loaded manifest from local files');
   } else {
@@ -151,35 +638,70 @@ async function fetchAndDisplayMessages() {
     }
   }
 
+  // Revocations are signed by the key itself, so they count even from a manifest that fails to verify
+  if (manifest.publicKey === followedKey) noteRevocations(followedKey, manifest.revocations);
+  const revocations = knownRevocations(followedKey);
+
   // Verify manifest signature
-  if (!verifyManifest(manifest)) {
-    console.error('Warning: Manifest signature verification failed!');
-  } else {
-    console.log('Manifest signature verified');
+  // Its entries are only listed if it verifies, messages are not trusted on their own timestamps
+  if (manifest.publicKey !== followedKey || !verifyManifest(manifest, { revocations, now: receivedAt })) {
+    console.error('REFUSING manifest: signature verification failed!');
+    if (manifest.delegation) {
+      console.error('It was signed by device key', manifest.delegation.deviceKey, '- the delegation is invalid, expired or revoked.');
+    }
+    return false;
+  }
+  console.log('Manifest signature verified', manifest.delegation ? `(device key ${manifest.delegation.deviceKey.slice(0, 16)}...)` : '');
+
+  // Pages sealed since the last visit are new, read the last head before it moves
+  const previous = loadHeads()[channelKey(followedKey, CHANNEL)];
+
+  if (!await checkHead(manifest, currentSeq, receivedAt)) {
+    return false;
+  }
+
+  // Sealed pages are only trusted through the signature of the manifest pointing to them
+  const { entries, older } = await collectEntries(manifest, previous, receivedAt);
+
+  // Group channel: the manifest carries the channel keys encrypted to each member
+  let groupKeys = null;
+  if (manifest.group) {
+    groupKeys = await loadGroupKeys(manifest);
+    if (groupKeys) {
+      console.log('Private group channel, decrypting with group key', manifest.group.keyId);
+    } else {
+      console.log(`Private group channel, ${identity.label} is not a member`);
+    }
   }
 
   console.log('');
-  console.log('Found', manifest.messages.length, 'message(s)');
+  const total = manifest.messages.length + (manifest.pages || []).reduce((sum, pointer) => sum + pointer.count, 0);
+  console.log(`Found ${total} message(s)` + (entries.length < total ? `, showing ${entries.length}` : ''));
   console.log('');
 
   // Download and display each message
-  for (let i = 0; i < manifest.messages.length; i++) {
-    const msgInfo = manifest.messages[i];
+  for (let i = 0; i < entries.length; i++) {
+    const msgInfo = entries[i];
+    const msgId = messageEntryId(msgInfo);
 
     // Skip already known messages in watch mode
-    if (watchMode && knownInfohashes.has(msgInfo.infohash)) {
+    if (watchMode && knownMessages.has(msgId)) {
       continue;
     }
 
     console.log('-'.repeat(60));
-    console.log('Message', i + 1, '/', manifest.messages.length);
-    console.log('Infohash:', msgInfo.infohash);
+    console.log('Message', i + 1, '/', entries.length);
+    if (msgInfo.infohash) console.log('Infohash:', msgInfo.infohash);
+    else if (msgInfo.dhtHash) console.log('DHT item:', msgInfo.dhtHash);
+    else console.log('Stored inline in manifest');
     console.log('Timestamp:', new Date(msgInfo.timestamp).toISOString());
 
     try {
+      // Small messages come inline or as a DHT item, the manifest signature covers both
+      let message = msgInfo.message || null;
+
       // Try to find message locally first
-      let message = null;
-      if (fs.existsSync(MESSAGES_DIR)) {
+      if (!message && fs.existsSync(MESSAGES_DIR)) {
         const files = fs.readdirSync(MESSAGES_DIR);
         for (const file of files) {
           if (file.startsWith('msg-')) {
@@ -198,25 +720,65 @@ async function fetchAndDisplayMessages() {
         }
       }
 
+      if (!message && msgInfo.dhtHash) {
+        console.log('Fetching message from DHT...');
+        const value = await getImmutable(await getDHT(), msgInfo.dhtHash);
+        if (!value) {
+          throw new Error('DHT item not found (the publisher may need to run republish.js)');
+        }
+        message = JSON.parse(value.toString('utf8'));
+      }
+
       // Fall back to torrent download
       if (!message) {
         console.log('Downloading message via torrent...');
         message = await downloadJSON(client, msgInfo.infohash, 60000);
       }
 
+      // Private message: only the content of envelopes addressed to our keys is shown
+      let isPrivate = false;
+      if (isEncryptedMessage(message)) {
+        const decrypted = await openEnvelope(message, manifest.publicKey);
+        if (!decrypted) {
+          console.log('Private message for another recipient, skipped');
+          knownMessages.add(msgId);
+          console.log('');
+          continue;
+        }
+        message = decrypted;
+        isPrivate = true;
+        console.log('Private message decrypted with local keys');
+      } else if (isGroupMessage(message)) {
+        const decrypted = openGroupEnvelope(message, manifest.publicKey, groupKeys);
+        if (!decrypted) {
+          console.log(groupKeys ? `Group message for key ${message.keyId} you were not given, skipped` : 'Group message, not a member, skipped');
+          knownMessages.add(msgId);
+          console.log('');
+          continue;
+        }
+        console.log('Group message decrypted with key', message.keyId);
+        message = decrypted;
+        isPrivate = true;
+      }
+
       // Verify message signature
-      const isValid = verifyMessage(message);
-      console.log('Signature:', isValid ? 'VALID' : 'INVALID');
+      const isValid = verifyMessage(message, { revocations, vouchedAt: receivedAt });
+      console.log('Signature:', isValid ? 'VALID' : 'INVALID', message.delegation ? `(device key ${message.delegation.deviceKey.slice(0, 16)}...)` : '');
 
-      if (isValid) {
+      if (isValid && activeSuccession && message.timestamp > activeSuccession.effectiveAt) {
+        console.log('Warning: UNTRUSTED - signed after the key was', activeSuccession.newPublicKey ? 'rotated' : 'revoked');
+        console.log('');
+        console.log('Content (untrusted):');
+        console.log('  ', message.content);
+      } else if (isValid) {
         console.log('');
-        console.log('Content:');
+        console.log(isPrivate ? 'Content (private):' : 'Content:');
         console.log('  ', message.content);
       } else {
         console.log('Warning: Message signature verification failed!');
       }
 
-      knownInfohashes.add(msgInfo.infohash);
+      knownMessages.add(msgId);
     } catch (err) {
       console.error('Failed to download message:', err.message);
     }
@@ -224,10 +786,100 @@ async function fetchAndDisplayMessages() {
     console.log('');
   }
 
+  if (older > 0 && !watchMode) {
+    const oldest = entries.length > 0 ? entries[0].timestamp : (BEFORE ?? Date.now());
+    console.log(older, 'older message(s) not shown, page back with:');
+    console.log('  node find-messages.js', followedKey, ...(CHANNEL ? [`--channel=${CHANNEL}`] : []), `--before=${new Date(oldest).toISOString()}`, `--limit=${LIMIT ?? 50}`);
+    console.log('');
+  }
+
   return true;
 }
 
 async function watchLoop() {
+  // Only signaling servers can push updates, the DHT has to be polled
+  if (pollMode || !useServer) {
+    return pollLoop();
+  }
+
+  console.log('');
+  console.log('Watch mode active. Subscribing to server for push updates...');
+  console.log('Press Ctrl+C to stop');
+  console.log('');
+
+  // Process announces one at a time, in arrival order
+  let queue = Promise.resolve();
+  let stream = null;
+  const onAnnounce = (entry) => {
+    if (entry.publicKey !== followedKey || !isFollowedChannel(entry)) return;
+    queue = queue
+      .then(async () => {
+        await displayManifest(entry);
+        // Key rotated: resubscribe for the successor
+        if (followSuccession()) stream.abort();
+      })
+      .catch(err => console.error('Error handling update:', err.message));
+  };
+
+  let retryDelay = RECONNECT_MIN_DELAY;
+  let serverIndex = 0;
+  const unsupported = new Set();
+
+  while (true) {
+    // Rotate through servers on reconnect, federated servers push the same announces
+    const serverUrl = SERVER_URLS[serverIndex % SERVER_URLS.length];
+    serverIndex++;
+    if (unsupported.has(serverUrl)) continue;
+
+    const connectedAt = Date.now();
+    stream = new AbortController();
+
+    try {
+      await subscribeToServer(serverUrl, [channelKey(followedKey, CHANNEL)], onAnnounce, STREAM_IDLE_TIMEOUT, stream.signal);
+      if (!stream.signal.aborted) {
+        console.log('[' + new Date().toISOString() + '] Subscription closed by', serverUrl);
+      }
+    } catch (err) {
+      if (err.statusCode === 404) {
+        console.log(serverUrl, 'does not support push updates');
+        unsupported.add(serverUrl);
+        if (unsupported.size === SERVER_URLS.length) {
+          console.log('No server supports push updates, falling back to polling');
+          return pollLoop();
+        }
+        continue;
+      }
+      if (!stream.signal.aborted) {
+        console.error('[' + new Date().toISOString() + '] Subscription error on', serverUrl + ':', err.message);
+      }
+    }
+
+    // Closed on purpose to follow a key rotation, resubscribe to the same server right away
+    if (stream.signal.aborted) {
+      serverIndex--;
+      continue;
+    }
+
+    // A connection that stayed up for a while resets the backoff
+    if (Date.now() - connectedAt > STREAM_IDLE_TIMEOUT) {
+      retryDelay = RECONNECT_MIN_DELAY;
+    }
+
+    // Poll once while disconnected so no update is missed
+    await queue;
+    try {
+      await fetchAndDisplayMessages();
+    } catch (err) {
+      console.error('Error during poll:', err.message);
+    }
+
+    console.log('Reconnecting in', retryDelay / 1000, 'seconds...');
+    await new Promise(resolve => setTimeout(resolve, retryDelay));
+    retryDelay = Math.min(retryDelay * 2, watchInterval);
+  }
+}
+
+async function pollLoop() {
   console.log('');
   console.log('Watch mode active. Polling every', watchInterval / 1000, 'seconds...');
   console.log('Press Ctrl+C to stop');
@@ -235,7 +887,10 @@ async function watchLoop() {
 
   while (true) {
     try {
-      const hasNew = await fetchAndDisplayMessages();
+      let hasNew = await fetchAndDisplayMessages();
+      while (followSuccession()) {
+        hasNew = await fetchAndDisplayMessages() || hasNew;
+      }
       if (!hasNew && lastSeq >= 0) {
         console.log('[' + new Date().toISOString() + '] No new messages');
       }
@@ -249,7 +904,9 @@ async function watchLoop() {
 
 async function main() {
   console.log('Finding messages for public key:', publicKeyHex);
-  console.log('Server:', SERVER_URL);
+  if (CHANNEL) console.log('Channel:', CHANNEL);
+  console.log('Discovery:', DISCOVERY);
+  if (useServer) console.log('Server:', SERVER_URLS.join(', '));
   console.log('');
 
   try {
@@ -263,17 +920,22 @@ async function main() {
       await watchLoop();
     } else {
       await fetchAndDisplayMessages();
+      while (followSuccession()) {
+        await fetchAndDisplayMessages();
+      }
 
       console.log('='.repeat(60));
       console.log('Done');
 
       // Cleanup
       await destroyClient(client);
+      if (dht) await destroyDHT(dht);
     }
 
   } catch (err) {
     console.error('Error:', err.message);
     if (client) await destroyClient(client);
+    if (dht) await destroyDHT(dht);
     process.exit(1);
   }
 }
@@ -283,6 +945,7 @@ process.on('SIGINT', async () => {
   console.log('');
   console.log('Shutting down...');
   if (client) await destroyClient(client);
+  if (dht) await destroyDHT(dht);
   process.exit(0);
 });
 
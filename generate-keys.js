@@ -3,46 +3,704 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { generateKeypair } from './lib/crypto-utils.js';
+import readline from 'readline';
+import {
+  generateKeypair,
+  publicKeyFromPrivate,
+  createSuccession,
+  createDelegation,
+  verifyDelegation,
+  createDeviceRevocation,
+  DEVICE_CAPABILITIES
+} from './lib/crypto-utils.js';
+import { seedToMnemonic, seedToCompact, backupToSeed } from './lib/mnemonic.js';
+import { parseServerUrls, publishSuccessionToServers, publishDeviceRevocationToServers } from './lib/signaling-client.js';
+import { isEncryptedKeystore, decryptKeystore, getPassphrase, promptPassphrase, saveKeys } from './lib/keystore.js';
+import {
+  DEFAULT_IDENTITY,
+  isValidIdentity,
+  identityPaths,
+  resolveIdentity,
+  listIdentities,
+  getDefaultIdentity,
+  setDefaultIdentity,
+  loadDevices,
+  saveDevices
+} from './lib/identity.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, 'data');
-const KEYS_FILE = path.join(DATA_DIR, 'keys.json');
+
+// Signaling server URLs, comma-separated (can be overridden via environment variable)
+const SERVER_URLS = parseServerUrls(process.env.SERVER_URL || 'http://localhost:3000');
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Check if keys already exist
-if (fs.existsSync(KEYS_FILE)) {
-  const existing = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
-  console.log('Keys already exist!');
+// Parse command line args, --identity applies to every command
+const args = process.argv.slice(2);
+const [command, ...commandArgs] = args.filter(arg => !arg.startsWith('--'));
+const identityArg = args.find(arg => arg.startsWith('--identity='));
+const encryptFlag = args.includes('--encrypt');
+
+// Identity the command works on (data/keys.json unless another one is selected)
+let identity;
+try {
+  identity = resolveIdentity(DATA_DIR, identityArg ? identityArg.split('=')[1] : null);
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+
+// Retired keys are kept next to keys.json together with their succession statement
+function retiredKeysFile(publicKeyHex) {
+  return path.join(identity.dir, `keys-${publicKeyHex.slice(0, 16)}.retired.json`);
+}
+
+// Load keys.json, returns the passphrase too so replacement keys are stored the same way
+async function loadKeys() {
+  if (!fs.existsSync(identity.keysFile)) {
+    console.error(`Error: No keys found for ${identity.label}. Run generate-keys.js first.`);
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(identity.keysFile, 'utf8'));
+  if (!isEncryptedKeystore(data)) {
+    return { keys: data, passphrase: null };
+  }
+
+  const passphrase = await getPassphrase(`Passphrase for ${identity.label}: `);
+  return { keys: decryptKeystore(data, passphrase), passphrase };
+}
+
+// Ask for a new passphrase (twice on the terminal), or take it from KEYS_PASSPHRASE
+async function newPassphrase() {
+  if (process.env.KEYS_PASSPHRASE) {
+    return process.env.KEYS_PASSPHRASE;
+  }
+
+  const passphrase = await promptPassphrase('New passphrase: ');
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+  if (await promptPassphrase('Repeat passphrase: ') !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+// Device identities sign with a delegated key and cannot act for the master key
+function requireMasterKey(keys) {
+  if (keys.deviceKey) {
+    throw new Error(`${identity.label} holds a device key. Run this on the machine with the master key.`);
+  }
+}
+
+// Read a backup or certificate from stdin, asking for it on the terminal
+async function readInput(question) {
+  if (!process.stdin.isTTY) {
+    let input = '';
+    for await (const chunk of process.stdin) input += chunk;
+    return input;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await new Promise(resolve => rl.question(question, resolve));
+  } finally {
+    rl.close();
+  }
+}
+
+// Parse a --expires or --effective date
+function parseDate(value, flag) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${flag} date. Use an ISO date such as 2024-01-31T12:00:00Z`);
+  }
+  return time;
+}
+
+// Send a succession statement to every server and report the outcome
+async function publishSuccession(succession) {
+  console.log('Publishing succession statement to', SERVER_URLS.join(', '), '...');
+  const { accepted, failed } = await publishSuccessionToServers(SERVER_URLS, succession);
+  for (const { serverUrl, error } of failed) {
+    console.log(`Warning: Could not publish to ${serverUrl}:`, error.message);
+  }
+  console.log(`Published to ${accepted.length}/${SERVER_URLS.length} server(s)`);
+  return accepted.length > 0;
+}
+
+async function createKeys(encrypt) {
+  // Check if keys already exist
+  if (fs.existsSync(identity.keysFile)) {
+    const existing = JSON.parse(fs.readFileSync(identity.keysFile, 'utf8'));
+    console.log('Keys already exist!');
+    console.log('');
+    console.log('Public Key (share this):');
+    console.log(existing.publicKey);
+    console.log('');
+    console.log('To generate new keys, create another identity: node generate-keys.js create <name>');
+    console.log('To replace a leaked key, run: node generate-keys.js rotate');
+    process.exit(0);
+  }
+
+  const passphrase = encrypt ? await newPassphrase() : null;
+
+  // Generate new keypair
+  console.log('Generating ed25519 keypair...');
+  const { publicKey, privateKey } = generateKeypair();
+
+  // Save keys
+  const keys = {
+    publicKey: publicKey.toString('hex'),
+    privateKey: privateKey.toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  fs.mkdirSync(identity.dir, { recursive: true });
+  saveKeys(identity.keysFile, keys, passphrase);
+
+  console.log('');
+  console.log('Keys generated and saved to', path.relative(__dirname, identity.keysFile), passphrase ? '(encrypted)' : '');
   console.log('');
   console.log('Public Key (share this):');
-  console.log(existing.publicKey);
+  console.log(keys.publicKey);
+  console.log('');
+  console.log('Keep your private key secret! Never share', path.relative(__dirname, identity.keysFile));
+  if (!passphrase) {
+    console.log('To protect it with a passphrase, run: node generate-keys.js encrypt');
+  }
+}
+
+// Replace the current identity with a new key, signed over by the old one
+async function rotateKeys() {
+  const { keys: oldKeys, passphrase } = await loadKeys();
+  requireMasterKey(oldKeys);
+
+  console.log('Rotating key:', oldKeys.publicKey);
+  console.log('Generating new ed25519 keypair...');
+  const { publicKey, privateKey } = generateKeypair();
+  const newPublicKeyHex = publicKey.toString('hex');
+
+  const succession = createSuccession(
+    oldKeys.publicKey,
+    newPublicKeyHex,
+    Buffer.from(oldKeys.privateKey, 'hex')
+  );
+
+  const retiredFile = retiredKeysFile(oldKeys.publicKey);
+  saveKeys(retiredFile, oldKeys, passphrase, { succession });
+  saveKeys(identity.keysFile, {
+    publicKey: newPublicKeyHex,
+    privateKey: privateKey.toString('hex'),
+    createdAt: new Date().toISOString(),
+    previousPublicKey: oldKeys.publicKey
+  }, passphrase);
+
+  console.log('');
+  console.log('Old key archived to', path.relative(__dirname, retiredFile));
+  console.log('New keys saved to', path.relative(__dirname, identity.keysFile));
+  console.log('');
+
+  const published = await publishSuccession(succession);
+
+  console.log('');
+  console.log('New Public Key (share this):');
+  console.log(newPublicKeyHex);
+  console.log('');
+  console.log('Followers of the old key will be pointed to the new one.');
+  if (!published) {
+    console.log('Retry publishing with: node generate-keys.js publish-succession', path.relative(__dirname, retiredFile));
+  }
+}
+
+// Revoke the current identity, optionally from an earlier point in time
+async function revokeKeys(effectiveArg) {
+  const { keys, passphrase } = await loadKeys();
+  requireMasterKey(keys);
+  const effectiveAt = effectiveArg ? Date.parse(effectiveArg) : Date.now();
+
+  if (Number.isNaN(effectiveAt)) {
+    console.error('Error: Invalid --effective date. Use an ISO date such as 2024-01-31T12:00:00Z');
+    process.exit(1);
+  }
+
+  console.log('Revoking key:', keys.publicKey);
+  console.log('Messages signed after', new Date(effectiveAt).toISOString(), 'will be flagged as untrusted');
+
+  const succession = createSuccession(
+    keys.publicKey,
+    null,
+    Buffer.from(keys.privateKey, 'hex'),
+    effectiveAt
+  );
+
+  const retiredFile = retiredKeysFile(keys.publicKey);
+  saveKeys(retiredFile, keys, passphrase, { succession });
+  fs.unlinkSync(identity.keysFile);
+
+  console.log('');
+  console.log('Key archived to', path.relative(__dirname, retiredFile));
+  console.log('');
+
+  const published = await publishSuccession(succession);
+
+  console.log('');
+  console.log('Run generate-keys.js again to create a new identity.');
+  if (!published) {
+    console.log('Retry publishing with: node generate-keys.js publish-succession', path.relative(__dirname, retiredFile));
+  }
+}
+
+// Re-send the succession statement stored in a retired keys file
+async function republishSuccession(file) {
+  if (!file || !fs.existsSync(file)) {
+    console.error('Error: Retired keys file not found:', file);
+    process.exit(1);
+  }
+
+  const { succession } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!succession) {
+    console.error('Error: No succession statement in', file);
+    process.exit(1);
+  }
+
+  const published = await publishSuccession(succession);
+  process.exit(published ? 0 : 1);
+}
+
+// Encrypt plaintext keys.json and retired keys files written by older versions
+async function encryptKeys() {
+  if (!fs.existsSync(identity.keysFile)) {
+    console.error(`Error: No keys found for ${identity.label}. Run generate-keys.js first.`);
+    process.exit(1);
+  }
+
+  const files = [identity.keysFile, ...fs.readdirSync(identity.dir)
+    .filter(file => /^keys-[0-9a-f]+\.retired\.json$/.test(file))
+    .map(file => path.join(identity.dir, file))];
+
+  const plaintext = files.filter(file => !isEncryptedKeystore(JSON.parse(fs.readFileSync(file, 'utf8'))));
+  if (plaintext.length === 0) {
+    console.log('All keys files are already encrypted.');
+    return;
+  }
+
+  const passphrase = await newPassphrase();
+  for (const file of plaintext) {
+    const { succession, ...keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    saveKeys(file, keys, passphrase, succession ? { succession } : {});
+    console.log('Encrypted', path.relative(__dirname, file));
+  }
+
+  console.log('');
+  console.log('Scripts now ask for the passphrase, or read it from KEYS_PASSPHRASE.');
+}
+
+// Print the private key as a word list and a compact string
+async function backupKeys() {
+  const { keys } = await loadKeys();
+  requireMasterKey(keys);
+  const seed = Buffer.from(keys.privateKey, 'hex');
+  const words = seedToMnemonic(seed).split(' ');
+
+  console.log('Backup of identity', identity.name, `(${keys.publicKey})`);
+  console.log('');
+  for (let i = 0; i < words.length; i += 6) {
+    console.log(words.slice(i, i + 6).map((word, j) => `${String(i + j + 1).padStart(2)}. ${word.padEnd(9)}`).join(' '));
+  }
+  console.log('');
+  console.log('Or as one string:');
+  console.log(seedToCompact(seed));
+  console.log('');
+  console.log('Anyone with these words can publish as you. Write them down and keep them offline.');
+  console.log('Restore with: node generate-keys.js restore' + (identity.name === DEFAULT_IDENTITY ? '' : ` ${identity.name}`));
+}
+
+// Rebuild keys.json from a backup, after checking which public key it restores
+async function restoreKeys(expectedPublicKey, encrypt) {
+  if (expectedPublicKey && !/^[0-9a-f]{64}$/i.test(expectedPublicKey)) {
+    console.error('Error: --public-key must be 64 hex characters');
+    process.exit(1);
+  }
+
+  const seed = backupToSeed(await readInput('Enter the 24 words or the tmk1 backup string: '));
+  const publicKeyHex = publicKeyFromPrivate(seed).toString('hex');
+  console.log('Backup restores public key:', publicKeyHex);
+
+  if (expectedPublicKey && expectedPublicKey.toLowerCase() !== publicKeyHex) {
+    console.error('Error: This is not the backup of', expectedPublicKey.toLowerCase());
+    console.error('Nothing was written.');
+    process.exit(1);
+  }
+
+  if (fs.existsSync(identity.keysFile)) {
+    const existing = JSON.parse(fs.readFileSync(identity.keysFile, 'utf8'));
+    if (existing.publicKey === publicKeyHex) {
+      console.log(`Identity ${identity.name} already has this key, nothing to restore.`);
+      return;
+    }
+    console.error(`Error: Identity ${identity.name} holds a different key (${existing.publicKey}).`);
+    console.error('Nothing was written. Restore into a new identity: node generate-keys.js restore <name>');
+    process.exit(1);
+  }
+
+  const passphrase = encrypt ? await newPassphrase() : null;
+  fs.mkdirSync(identity.dir, { recursive: true });
+  saveKeys(identity.keysFile, {
+    publicKey: publicKeyHex,
+    privateKey: seed.toString('hex'),
+    restoredAt: new Date().toISOString()
+  }, passphrase);
+
+  console.log('Keys restored to', path.relative(__dirname, identity.keysFile), passphrase ? '(encrypted)' : '');
+}
+
+// Create an identity holding only a device key, to be delegated by the master key
+async function createDeviceKey(encrypt) {
+  if (fs.existsSync(identity.keysFile)) {
+    console.error(`Error: ${identity.label} already has keys.`);
+    process.exit(1);
+  }
+
+  const passphrase = encrypt ? await newPassphrase() : null;
+  const { publicKey, privateKey } = generateKeypair();
+  const deviceKey = publicKey.toString('hex');
+
+  fs.mkdirSync(identity.dir, { recursive: true });
+  saveKeys(identity.keysFile, {
+    publicKey: null,
+    deviceKey,
+    privateKey: privateKey.toString('hex'),
+    createdAt: new Date().toISOString()
+  }, passphrase);
+
+  console.log('Device key saved to', path.relative(__dirname, identity.keysFile), passphrase ? '(encrypted)' : '');
+  console.log('');
+  console.log('Device Key:');
+  console.log(deviceKey);
+  console.log('');
+  console.log('On the machine with the master key, run:');
+  console.log(`  node generate-keys.js delegate ${deviceKey} > delegation.json`);
+  console.log('Then on this device:');
+  console.log(`  node generate-keys.js accept-delegation ${identity.name} < delegation.json`);
+}
+
+// Sign a delegation certificate for a device key with the master key
+async function delegateDevice(deviceKey, expiresArg, scopeArg) {
+  if (!/^[0-9a-f]{64}$/i.test(deviceKey || '')) {
+    console.error('Error: Give the 64-character hex device key: node generate-keys.js delegate <device-key>');
+    process.exit(1);
+  }
+
+  const scope = scopeArg ? scopeArg.split(',') : DEVICE_CAPABILITIES;
+  const unknown = scope.filter(capability => !DEVICE_CAPABILITIES.includes(capability));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown capability ${unknown.join(', ')}. Use ${DEVICE_CAPABILITIES.join(', ')}`);
+  }
+  const expiresAt = expiresArg ? parseDate(expiresArg, '--expires') : null;
+
+  const { keys } = await loadKeys();
+  requireMasterKey(keys);
+
+  const delegation = createDelegation(keys.publicKey, deviceKey.toLowerCase(), Buffer.from(keys.privateKey, 'hex'), { scope, expiresAt });
+
+  const devices = loadDevices(identity.devicesFile);
+  devices.delegations = [...devices.delegations.filter(issued => issued.deviceKey !== delegation.deviceKey), delegation];
+  saveDevices(identity.devicesFile, devices);
+
+  // The certificate goes to stdout so it can be redirected to a file, notes to stderr
+  console.log(JSON.stringify(delegation));
+  console.error(`Delegated ${scope.join(', ')} to device ${delegation.deviceKey}`, expiresAt ? `until ${new Date(expiresAt).toISOString()}` : '(no expiry)');
+  console.error('The certificate is not secret. Install it on the device with accept-delegation.');
+}
+
+// Store the delegation certificate issued for this identity's device key
+async function acceptDelegation() {
+  const { keys, passphrase } = await loadKeys();
+  if (!keys.deviceKey) {
+    throw new Error(`${identity.label} holds a master key. Create a device key first: node generate-keys.js create-device <name>`);
+  }
+
+  let delegation;
+  try {
+    delegation = JSON.parse(await readInput('Paste the delegation certificate: '));
+  } catch (err) {
+    throw new Error('The certificate is not valid JSON');
+  }
+
+  if (!verifyDelegation(delegation)) {
+    throw new Error('The certificate signature does not verify');
+  }
+  if (delegation.deviceKey !== keys.deviceKey) {
+    throw new Error(`The certificate is for device ${delegation.deviceKey}, not ${keys.deviceKey}`);
+  }
+  if (keys.publicKey && keys.publicKey !== delegation.publicKey) {
+    throw new Error(`This device already publishes for ${keys.publicKey}`);
+  }
+  if (delegation.expiresAt !== null && delegation.expiresAt < Date.now()) {
+    throw new Error(`The certificate expired at ${new Date(delegation.expiresAt).toISOString()}`);
+  }
+
+  saveKeys(identity.keysFile, { ...keys, publicKey: delegation.publicKey, delegation }, passphrase);
+
+  console.log('Device', keys.deviceKey);
+  console.log('now publishes for', delegation.publicKey);
+  console.log('Capabilities:', delegation.scope.join(', '));
+  console.log('Expires:', delegation.expiresAt !== null ? new Date(delegation.expiresAt).toISOString() : 'never');
+}
+
+// Withdraw a device key's delegation and tell the servers
+async function revokeDevice(deviceKey, effectiveArg) {
+  if (!/^[0-9a-f]{64}$/i.test(deviceKey || '')) {
+    console.error('Error: Give the 64-character hex device key: node generate-keys.js revoke-device <device-key>');
+    process.exit(1);
+  }
+  const effectiveAt = effectiveArg ? parseDate(effectiveArg, '--effective') : Date.now();
+
+  const { keys } = await loadKeys();
+  requireMasterKey(keys);
+
+  // Re-running the command re-sends the stored revocation unless it moves the time earlier
+  const devices = loadDevices(identity.devicesFile);
+  let revocation = devices.revocations.find(revoked => revoked.deviceKey === deviceKey.toLowerCase());
+  if (!revocation || effectiveAt < revocation.effectiveAt) {
+    revocation = createDeviceRevocation(keys.publicKey, deviceKey.toLowerCase(), Buffer.from(keys.privateKey, 'hex'), effectiveAt);
+    devices.revocations = [...devices.revocations.filter(revoked => revoked.deviceKey !== revocation.deviceKey), revocation];
+    saveDevices(identity.devicesFile, devices);
+  }
+
+  console.log('Revoking device', revocation.deviceKey, 'from', new Date(revocation.effectiveAt).toISOString());
+  console.log('Publishing revocation to', SERVER_URLS.join(', '), '...');
+  const { accepted, failed } = await publishDeviceRevocationToServers(SERVER_URLS, revocation);
+  for (const { serverUrl, error } of failed) {
+    if (error.statusCode === 409) accepted.push(serverUrl);
+    else console.log(`Warning: Could not publish to ${serverUrl}:`, error.message);
+  }
+  console.log(`Published to ${accepted.length}/${SERVER_URLS.length} server(s)`);
   console.log('');
-  console.log('To generate new keys, delete data/keys.json first.');
-  process.exit(0);
+  console.log('Followers now refuse announces and manifests signed by the device. Publish once from');
+  console.log('this key or another device, the next manifest from the master key carries the revocation too.');
+}
+
+// Print the device keys delegated by this identity
+function printDevices() {
+  const { delegations, revocations } = loadDevices(identity.devicesFile);
+  if (delegations.length === 0) {
+    console.log(`No device keys delegated by ${identity.label}.`);
+    return;
+  }
+
+  for (const { deviceKey, scope, expiresAt } of delegations) {
+    const revoked = revocations.find(revocation => revocation.deviceKey === deviceKey);
+    const status = revoked ? `revoked ${new Date(revoked.effectiveAt).toISOString()}`
+      : expiresAt !== null && expiresAt < Date.now() ? `expired ${new Date(expiresAt).toISOString()}`
+        : expiresAt !== null ? `until ${new Date(expiresAt).toISOString()}` : 'no expiry';
+    console.log(`${deviceKey}  ${scope.join(',').padEnd(24)} ${status}`);
+  }
 }
 
-// Generate new keypair
-console.log('Generating ed25519 keypair...');
-const { publicKey, privateKey } = generateKeypair();
+// Print every identity, marking the default one
+function printIdentities() {
+  const identities = listIdentities(DATA_DIR);
+  if (identities.length === 0) {
+    console.log('No identities yet. Run generate-keys.js to create one.');
+    return;
+  }
 
-// Save keys
-const keys = {
-  publicKey: publicKey.toString('hex'),
-  privateKey: privateKey.toString('hex'),
-  createdAt: new Date().toISOString()
-};
+  const defaultName = getDefaultIdentity(DATA_DIR);
+  for (const { name, publicKey, deviceKey, encrypted } of identities) {
+    const marker = name === defaultName ? '*' : ' ';
+    const device = deviceKey ? (publicKey ? ' (device key)' : ' (device key, awaiting delegation)') : '';
+    console.log(`${marker} ${name.padEnd(16)} ${publicKey || deviceKey}${device}${encrypted ? ' (encrypted)' : ''}`);
+  }
+}
+
+// Print the public key and files of one identity
+function showIdentity() {
+  if (!fs.existsSync(identity.keysFile)) {
+    console.error(`Error: No keys found for ${identity.label}.`);
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(identity.keysFile, 'utf8'));
+  console.log('Identity:', identity.name, identity.name === getDefaultIdentity(DATA_DIR) ? '(default)' : '');
+  console.log('Public Key:', data.publicKey || '(awaiting delegation)');
+  if (data.deviceKey) console.log('Device Key:', data.deviceKey);
+  if (data.delegation) {
+    const { scope, expiresAt } = data.delegation;
+    console.log('Delegation:', scope.join(', '), expiresAt !== null ? `until ${new Date(expiresAt).toISOString()}` : '(no expiry)');
+  }
+  console.log('Keys File:', path.relative(__dirname, identity.keysFile), isEncryptedKeystore(data) ? '(encrypted)' : '');
+  if (data.createdAt) console.log('Created:', data.createdAt);
+  if (data.restoredAt) console.log('Restored:', data.restoredAt);
+  if (data.previousPublicKey) console.log('Rotated From:', data.previousPublicKey);
+}
 
-fs.writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2));
+// Delete the keys, local index and group state of an identity
+function deleteIdentity(confirmed) {
+  if (!fs.existsSync(identity.keysFile)) {
+    console.error(`Error: No keys found for ${identity.label}.`);
+    process.exit(1);
+  }
 
-console.log('');
-console.log('Keys generated and saved to data/keys.json');
-console.log('');
-console.log('Public Key (share this):');
-console.log(keys.publicKey);
-console.log('');
-console.log('Keep your private key secret! Never share data/keys.json');
+  const { publicKey } = JSON.parse(fs.readFileSync(identity.keysFile, 'utf8'));
+  if (!confirmed) {
+    console.log(`This permanently deletes the private key of identity ${identity.name} (${publicKey}).`);
+    console.log('Nobody can publish as this key afterwards. Run again with --yes to delete it.');
+    process.exit(1);
+  }
+
+  if (identity.name === DEFAULT_IDENTITY) {
+    // Shares data/ with everything else, only remove its own files
+    for (const file of [identity.keysFile, identity.localIndexFile, identity.groupsFile, identity.devicesFile]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  } else {
+    fs.rmSync(identity.dir, { recursive: true, force: true });
+  }
+
+  if (getDefaultIdentity(DATA_DIR) === identity.name) {
+    setDefaultIdentity(DATA_DIR, DEFAULT_IDENTITY);
+  }
+
+  console.log('Deleted identity', identity.name, `(${publicKey})`);
+}
+
+// Select the identity to use when neither --identity nor IDENTITY is given
+function useIdentity() {
+  if (!fs.existsSync(identity.keysFile)) {
+    console.error(`Error: No keys found for ${identity.label}. Create it first: node generate-keys.js create ${identity.name}`);
+    process.exit(1);
+  }
+
+  setDefaultIdentity(DATA_DIR, identity.name);
+  console.log('Default identity is now', identity.name);
+}
+
+// Commands that take an identity name select it like --identity does
+if (['create', 'show', 'delete', 'default', 'backup', 'restore', 'create-device', 'accept-delegation'].includes(command) && commandArgs[0]) {
+  if (!isValidIdentity(commandArgs[0])) {
+    console.error(`Error: Invalid identity name "${commandArgs[0]}". Use up to 64 letters, digits, "_" or "-".`);
+    process.exit(1);
+  }
+  identity = identityPaths(DATA_DIR, commandArgs[0]);
+}
+
+try {
+  switch (command) {
+    case undefined:
+    case 'create':
+      await createKeys(encryptFlag);
+      break;
+    case 'list':
+      printIdentities();
+      break;
+    case 'show':
+      showIdentity();
+      break;
+    case 'delete':
+      if (!commandArgs[0] && !identityArg) {
+        console.error('Error: Name the identity to delete: node generate-keys.js delete <name>');
+        process.exit(1);
+      }
+      deleteIdentity(args.includes('--yes'));
+      break;
+    case 'default':
+      if (!commandArgs[0]) {
+        console.log('Default identity:', getDefaultIdentity(DATA_DIR));
+        break;
+      }
+      useIdentity();
+      break;
+    case 'encrypt':
+      await encryptKeys();
+      break;
+    case 'backup':
+      await backupKeys();
+      break;
+    case 'restore': {
+      const publicKeyArg = args.find(arg => arg.startsWith('--public-key='));
+      await restoreKeys(publicKeyArg && publicKeyArg.split('=')[1], encryptFlag);
+      break;
+    }
+    case 'create-device':
+      if (!commandArgs[0] && !identityArg) {
+        console.error('Error: Name the device identity: node generate-keys.js create-device <name>');
+        process.exit(1);
+      }
+      await createDeviceKey(encryptFlag);
+      break;
+    case 'delegate': {
+      const expiresArg = args.find(arg => arg.startsWith('--expires='));
+      const scopeArg = args.find(arg => arg.startsWith('--scope='));
+      await delegateDevice(commandArgs[0], expiresArg && expiresArg.split('=')[1], scopeArg && scopeArg.split('=')[1]);
+      break;
+    }
+    case 'accept-delegation':
+      await acceptDelegation();
+      break;
+    case 'revoke-device': {
+      const effectiveArg = args.find(arg => arg.startsWith('--effective='));
+      await revokeDevice(commandArgs[0], effectiveArg && effectiveArg.split('=')[1]);
+      break;
+    }
+    case 'devices':
+      printDevices();
+      break;
+    case 'rotate':
+      await rotateKeys();
+      break;
+    case 'revoke': {
+      const effectiveArg = args.find(arg => arg.startsWith('--effective='));
+      await revokeKeys(effectiveArg && effectiveArg.split('=')[1]);
+      break;
+    }
+    case 'publish-succession':
+      await republishSuccession(commandArgs[0]);
+      break;
+    default:
+      console.log('Usage: node generate-keys.js [command] [--identity=name]');
+      console.log('');
+      console.log('Commands:');
+      console.log('  (none) [--encrypt]          Generate keys for the selected identity if it has none');
+      console.log('  create <name> [--encrypt]   Generate keys for a new named identity');
+      console.log('  list                        List identities, * marks the default');
+      console.log('  show [name]                 Show the public key of an identity');
+      console.log('  delete <name> --yes         Permanently delete an identity and its local state');
+      console.log('  default [name]              Show or set the default identity');
+      console.log('  encrypt                     Add a passphrase to existing plaintext keys files');
+      console.log('  backup [name]               Print the private key as 24 words and a tmk1 string');
+      console.log('  restore [name] [--public-key=HEX] [--encrypt]');
+      console.log('                              Rebuild keys from a backup read from stdin');
+      console.log('  create-device <name>        Generate a device key for a new identity (see delegate)');
+      console.log('  delegate <device-key> [--expires=DATE] [--scope=message,manifest,announce]');
+      console.log('                              Let a device key publish for this key, prints the certificate');
+      console.log('  accept-delegation [name]    Install a certificate read from stdin on the device');
+      console.log('  revoke-device <device-key> [--effective=DATE]');
+      console.log('                              Withdraw a delegation and publish the revocation');
+      console.log('  devices                     List device keys delegated by this key');
+      console.log('  rotate                      Replace the key with a new one, signed over by the old key');
+      console.log('  revoke [--effective=DATE]   Revoke the key (messages after DATE are flagged)');
+      console.log('  publish-succession <file>   Re-send the statement from a retired keys file');
+      console.log('');
+      console.log('Options:');
+      console.log('  --identity=NAME  Identity to work on (default: the one set with "default")');
+      console.log('  --encrypt        Protect new or restored keys with a passphrase');
+      console.log('  --public-key=HEX Public key a restored backup must match');
+      console.log('');
+      console.log('Environment:');
+      console.log('  SERVER_URL       Signaling server URL(s), comma-separated (default: http://localhost:3000)');
+      console.log('  KEYS_PASSPHRASE  Passphrase of encrypted keys files, asked on the terminal if not set');
+      console.log('  IDENTITY         Identity to use when --identity is not given');
+      process.exit(1);
+  }
+} catch (err) {
+  // Wrong passphrase, unreadable keys file or a failed prompt
+  console.error('Error:', err.message);
+  process.exit(1);
+}
@@ -22,6 +22,25 @@ export function generateKeypair() {
   };
 }
 
+/**
+ * Derive the ed25519 public key belonging to a private key (seed)
+ * @param {Buffer} privateKey - 32-byte raw private key
+ * @returns {Buffer} 32-byte raw public key
+ */
+export function publicKeyFromPrivate(privateKey) {
+  const keyObject = crypto.createPrivateKey({
+    key: Buffer.concat([
+      // PKCS8 header for ed25519
+      Buffer.from('302e020100300506032b657004220420', 'hex'),
+      privateKey
+    ]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return crypto.createPublicKey(keyObject).export({ type: 'spki', format: 'der' }).subarray(-32);
+}
+
 /**
  * Sign data with an ed25519 private key
  * @param {Buffer|string} data - Data to sign
@@ -69,39 +88,106 @@ export function verify(data, signature, publicKey) {
   }
 }
 
+// Signing format of new objects, carried in their `v` field. Objects without
+// `v` were signed as JSON.stringify of their fields and still verify.
+export const SIGNING_VERSION = 2;
+
+/**
+ * Deterministic JSON encoding: object keys sorted, no whitespace
+ * Only strings, booleans, null, safe integers, arrays and plain objects are
+ * allowed, so every implementation produces the same bytes. Keys with an
+ * undefined value are left out, like JSON.stringify does.
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJSON(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Cannot encode number ${value}, only safe integers are allowed`);
+    }
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  throw new Error(`Cannot encode ${typeof value}`);
+}
+
+/**
+ * Data covered by a signature
+ *
+ * Version 2 prefixes the canonical encoding with a tag naming the object type,
+ * so a signature over one kind of object can never be replayed as another.
+ * Legacy objects (no version) used JSON.stringify, which depends on the order
+ * of `fields`; callers pass them in the order they were signed in.
+ *
+ * @param {string} type - Object type, e.g. 'message' or 'announce'
+ * @param {object} fields - Signed fields
+ * @param {number|undefined} version - The object's `v` field, undefined for legacy objects
+ * @returns {string}
+ * @throws {Error} For an unknown version
+ */
+export function signingData(type, fields, version) {
+  if (version === undefined) {
+    return JSON.stringify(fields);
+  }
+  if (version !== SIGNING_VERSION) {
+    throw new Error(`Unsupported signing version ${version}`);
+  }
+  return `torrent-messaging/${type}/v${version}\n${canonicalJSON(fields)}`;
+}
+
 /**
  * Create a signed message object
  * @param {string} content - Message content
  * @param {Buffer} publicKey - 32-byte public key
- * @param {Buffer} privateKey - 32-byte private key
- * @returns {{ content: string, timestamp: number, publicKey: string, signature: string }}
+ * @param {Buffer} privateKey - 32-byte private key (of the device when a delegation is given)
+ * @param {object} [delegation] - Certificate of the device key, see createDelegation
+ * @returns {{ v: number, content: string, timestamp: number, publicKey: string, delegation?: object, signature: string }}
  */
-export function createSignedMessage(content, publicKey, privateKey) {
+export function createSignedMessage(content, publicKey, privateKey, delegation = null) {
   const timestamp = Date.now();
-  const dataToSign = JSON.stringify({ content, timestamp, publicKey: publicKey.toString('hex') });
+  const dataToSign = signingData('message', { content, timestamp, publicKey: publicKey.toString('hex') }, SIGNING_VERSION);
   const signature = sign(dataToSign, privateKey);
 
   return {
+    v: SIGNING_VERSION,
     content,
     timestamp,
     publicKey: publicKey.toString('hex'),
+    ...(delegation && { delegation }),
     signature: signature.toString('hex')
   };
 }
 
 /**
  * Verify a signed message
- * @param {object} message - Message object with content, timestamp, publicKey, signature
+ * A message signed by a device key must have been signed while its delegation was valid,
+ * see resolveDatedSigner for how far its own timestamp is trusted.
+ * @param {object} message - Message object with content, timestamp, publicKey, signature and optional delegation
+ * @param {object} [options]
+ * @param {object[]} [options.revocations] - Device revocations known for the publisher
+ * @param {number} [options.vouchedAt] - Time a verified manifest committing to the message was received
  * @returns {boolean} True if message signature is valid
  */
-export function verifyMessage(message) {
+export function verifyMessage(message, { revocations, vouchedAt } = {}) {
   try {
-    const { content, timestamp, publicKey, signature } = message;
-    const dataToVerify = JSON.stringify({ content, timestamp, publicKey });
+    const { v, content, timestamp, publicKey, signature } = message;
+    const signer = resolveDatedSigner(message, 'message', timestamp, vouchedAt, revocations);
+    if (!signer) return false;
+
+    const dataToVerify = signingData('message', { content, timestamp, publicKey }, v);
     return verify(
       dataToVerify,
       Buffer.from(signature, 'hex'),
-      Buffer.from(publicKey, 'hex')
+      Buffer.from(signer, 'hex')
     );
   } catch (err) {
     return false;
@@ -109,32 +195,335 @@ export function verifyMessage(message) {
 }
 
 /**
- * Sign a manifest object
- * @param {object} manifest - Manifest with publicKey and messages array
- * @param {Buffer} privateKey - 32-byte private key
+ * Data covered by a manifest signature
+ * The key distribution of a group channel is signed too, so members cannot be swapped out.
+ * Version 2 manifests also sign their seq, the link to the previous manifest, the
+ * pointers to older pages and the device revocations they carry.
+ * @param {object} manifest - Manifest fields
+ * @returns {string}
+ */
+function manifestSigningData({ v, publicKey, seq, prev, messages, pages, group, revocations }) {
+  // Legacy manifests predate seq and prev
+  const fields = v === undefined ? { publicKey, messages, group } : { publicKey, seq, prev, messages, pages, group, revocations };
+  return signingData('manifest', fields, v);
+}
+
+/**
+ * Sign a manifest object (the head page of a feed)
+ * @param {object} manifest - Manifest with publicKey, seq, prev link, messages array, optional page pointers, group section and device revocations
+ * @param {Buffer} privateKey - 32-byte private key (of the device when a delegation is given)
+ * @param {object} [delegation] - Certificate of the device key, see createDelegation
  * @returns {object} Manifest with signature added
  */
-export function signManifest(manifest, privateKey) {
-  const { publicKey, messages } = manifest;
-  const dataToSign = JSON.stringify({ publicKey, messages });
-  const signature = sign(dataToSign, privateKey);
+export function signManifest(manifest, privateKey, delegation = null) {
+  const { publicKey, seq, prev, messages, pages, group, revocations } = manifest;
+  const signed = {
+    v: SIGNING_VERSION,
+    publicKey,
+    ...(seq !== undefined && { seq, prev: prev || null }),
+    messages,
+    ...(pages && pages.length > 0 && { pages }),
+    ...(group && { group }),
+    ...(revocations && revocations.length > 0 && { revocations })
+  };
 
   return {
+    ...signed,
+    ...(delegation && { delegation }),
+    signature: sign(manifestSigningData(signed), privateKey).toString('hex')
+  };
+}
+
+/**
+ * Verify a manifest signature
+ * Manifests carry no signed time of their own. A manifest signed by a device key needs a
+ * delegation that is valid at `now`: the time the client received the manifest, never a
+ * time reported by a server, which is unsigned and could be backdated.
+ * @param {object} manifest - Manifest with publicKey, messages, optional seq, prev, group, revocations and delegation, and signature
+ * @param {object} [options]
+ * @param {object[]} [options.revocations] - Device revocations known for the publisher
+ * @param {number} [options.now] - Time the delegation must be valid at (defaults to now)
+ * @returns {boolean} True if manifest signature is valid
+ */
+export function verifyManifest(manifest, { revocations, now = Date.now() } = {}) {
+  try {
+    const signer = resolveSigner(manifest, 'manifest', now, revocations);
+    if (!signer) return false;
+
+    return verify(
+      manifestSigningData(manifest),
+      Buffer.from(manifest.signature, 'hex'),
+      Buffer.from(signer, 'hex')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Sign an older page of a feed, split off the head manifest once it is full
+ * Pages never change after they are published, only the head points to new ones.
+ * @param {object} page - Page with publicKey, page index and messages array
+ * @param {Buffer} privateKey - 32-byte private key (of the device when a delegation is given)
+ * @param {object} [delegation] - Certificate of the device key, see createDelegation
+ * @returns {{ v: number, publicKey: string, page: number, createdAt: number, messages: object[], delegation?: object, signature: string }}
+ */
+export function signPage({ publicKey, page, messages }, privateKey, delegation = null) {
+  const createdAt = Date.now();
+  const dataToSign = signingData('manifest-page', { publicKey, page, createdAt, messages }, SIGNING_VERSION);
+
+  return {
+    v: SIGNING_VERSION,
     publicKey,
+    page,
+    createdAt,
     messages,
+    ...(delegation && { delegation }),
+    signature: sign(dataToSign, privateKey).toString('hex')
+  };
+}
+
+/**
+ * Verify a page signature
+ * A page signed by a device key must have been signed while its delegation was valid,
+ * see resolveDatedSigner for how far its createdAt is trusted.
+ * @param {object} page - Page created with signPage
+ * @param {object} [options]
+ * @param {object[]} [options.revocations] - Device revocations known for the publisher
+ * @param {number} [options.vouchedAt] - Time a verified manifest pointing to the page was received
+ * @returns {boolean} True if page signature is valid
+ */
+export function verifyPage(page, { revocations, vouchedAt } = {}) {
+  try {
+    const { v, publicKey, page: index, createdAt, messages, signature } = page;
+    if (!Number.isInteger(index) || !Number.isInteger(createdAt) || !Array.isArray(messages)) return false;
+
+    const signer = resolveDatedSigner(page, 'manifest', createdAt, vouchedAt, revocations);
+    if (!signer) return false;
+
+    const dataToVerify = signingData('manifest-page', { publicKey, page: index, createdAt, messages }, v);
+    return verify(
+      dataToVerify,
+      Buffer.from(signature, 'hex'),
+      Buffer.from(signer, 'hex')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Hash identifying a signed manifest, used as the `prev` link of its successor
+ * Also identifies sealed pages in the page list of a manifest.
+ * @param {object} manifest - Signed manifest or page
+ * @returns {string} Hex SHA-256 of the canonical encoding, signature included
+ */
+export function manifestHash(manifest) {
+  return crypto.createHash('sha256').update(canonicalJSON(manifest)).digest('hex');
+}
+
+/**
+ * Data covered by an announce signature
+ * Named channels are part of the signed data, so an announce cannot be moved to another channel
+ * @param {string} publicKey - Hex public key
+ * @param {string} manifestInfohash - Manifest torrent infohash
+ * @param {number} seq - Sequence number
+ * @param {string} [channel] - Channel name, omitted for the default channel
+ * @param {number} [version] - Signing version, undefined for legacy announces
+ * @returns {string}
+ */
+function announceSigningData(publicKey, manifestInfohash, seq, channel, version) {
+  if (channel) {
+    return signingData('announce', { publicKey, channel, manifestInfohash, seq }, version);
+  }
+  return signingData('announce', { publicKey, manifestInfohash, seq }, version);
+}
+
+/**
+ * Create a signed announce for the signaling server
+ * @param {string} publicKey - Hex public key
+ * @param {string} manifestInfohash - Manifest torrent infohash
+ * @param {number} seq - Sequence number
+ * @param {Buffer} privateKey - 32-byte private key (of the device when a delegation is given)
+ * @param {string} [channel] - Channel name, omitted for the default channel
+ * @param {object} [delegation] - Certificate of the device key, see createDelegation
+ * @returns {{ v: number, publicKey: string, channel?: string, manifestInfohash: string, seq: number, delegation?: object, signature: string }}
+ */
+export function signAnnounce(publicKey, manifestInfohash, seq, privateKey, channel, delegation = null) {
+  const dataToSign = announceSigningData(publicKey, manifestInfohash, seq, channel, SIGNING_VERSION);
+  const signature = sign(dataToSign, privateKey);
+
+  return {
+    v: SIGNING_VERSION,
+    publicKey,
+    ...(channel && { channel }),
+    manifestInfohash,
+    seq,
+    ...(delegation && { delegation }),
     signature: signature.toString('hex')
   };
 }
 
 /**
- * Verify a manifest signature
- * @param {object} manifest - Manifest with publicKey, messages, and signature
- * @returns {boolean} True if manifest signature is valid
+ * Verify a signaling server announce
+ * @param {object} announce - Announce with manifestInfohash, seq, signature, optional channel and delegation
+ * @param {string} publicKey - Hex public key the announce is expected to be signed by
+ * @param {object} [options]
+ * @param {object[]} [options.revocations] - Device revocations known for the publisher
+ * @param {number} [options.now] - Time the delegation must be valid at
+ * @returns {boolean} True if the publisher (or one of its devices) signed this infohash and seq
  */
-export function verifyManifest(manifest) {
+export function verifyAnnounce(announce, publicKey, { revocations, now = Date.now() } = {}) {
   try {
-    const { publicKey, messages, signature } = manifest;
-    const dataToVerify = JSON.stringify({ publicKey, messages });
+    const { v, channel, manifestInfohash, seq, delegation, signature } = announce;
+    const signer = resolveSigner({ v, publicKey, delegation }, 'announce', now, revocations);
+    if (!signer) return false;
+
+    const dataToVerify = announceSigningData(publicKey, manifestInfohash, seq, channel, v);
+    return verify(
+      dataToVerify,
+      Buffer.from(signature, 'hex'),
+      Buffer.from(signer, 'hex')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Count leading zero bits of a buffer
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Check a proof-of-work nonce: sha256("<publicKey>:<nonce>") needs `difficulty` leading zero bits
+ * @param {string} publicKey - Hex public key the work is bound to
+ * @param {number} nonce - Nonce found by the client
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {boolean} True if the nonce satisfies the difficulty
+ */
+export function verifyProofOfWork(publicKey, nonce, difficulty) {
+  if (!Number.isSafeInteger(nonce) || nonce < 0) return false;
+  const hash = crypto.createHash('sha256').update(`${publicKey}:${nonce}`).digest();
+  return leadingZeroBits(hash) >= difficulty;
+}
+
+/**
+ * Find a proof-of-work nonce for a public key (see verifyProofOfWork)
+ * @param {string} publicKey - Hex public key
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {number} Nonce
+ */
+export function solveProofOfWork(publicKey, difficulty) {
+  let nonce = 0;
+  while (!verifyProofOfWork(publicKey, nonce, difficulty)) {
+    nonce++;
+  }
+  return nonce;
+}
+
+/**
+ * Create a signed succession statement: the key either hands over to a new key (rotation)
+ * or is revoked. Messages the old key signs after effectiveAt must not be trusted.
+ * @param {string} publicKey - Hex public key being retired
+ * @param {string|null} newPublicKey - Hex public key of the successor, or null to revoke
+ * @param {Buffer} privateKey - 32-byte private key of the retired key
+ * @param {number} [effectiveAt] - Timestamp from which the old key is no longer trusted
+ * @returns {{ v: number, publicKey: string, newPublicKey: string|null, effectiveAt: number, createdAt: number, signature: string }}
+ */
+export function createSuccession(publicKey, newPublicKey, privateKey, effectiveAt = Date.now()) {
+  const createdAt = Date.now();
+  const dataToSign = signingData('succession', { type: 'succession', publicKey, newPublicKey, effectiveAt, createdAt }, SIGNING_VERSION);
+  const signature = sign(dataToSign, privateKey);
+
+  return {
+    v: SIGNING_VERSION,
+    publicKey,
+    newPublicKey,
+    effectiveAt,
+    createdAt,
+    signature: signature.toString('hex')
+  };
+}
+
+/**
+ * Verify a succession statement
+ * @param {object} succession - Statement with publicKey, newPublicKey, effectiveAt, createdAt, signature
+ * @returns {boolean} True if the retired key signed the statement
+ */
+export function verifySuccession(succession) {
+  try {
+    const { v, publicKey, newPublicKey, effectiveAt, createdAt, signature } = succession;
+    if (newPublicKey !== null && !/^[0-9a-fA-F]{64}$/.test(newPublicKey)) return false;
+    if (!Number.isInteger(effectiveAt) || !Number.isInteger(createdAt)) return false;
+
+    const dataToVerify = signingData('succession', { type: 'succession', publicKey, newPublicKey, effectiveAt, createdAt }, v);
+    return verify(
+      dataToVerify,
+      Buffer.from(signature, 'hex'),
+      Buffer.from(publicKey, 'hex')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+// What a device key may sign for its master key
+export const DEVICE_CAPABILITIES = ['message', 'manifest', 'announce'];
+
+/**
+ * Create a delegation certificate: the master key lets a device key sign on its behalf
+ * @param {string} publicKey - Hex master public key
+ * @param {string} deviceKey - Hex public key of the device
+ * @param {Buffer} privateKey - 32-byte master private key
+ * @param {object} [options]
+ * @param {string[]} [options.scope] - Capabilities from DEVICE_CAPABILITIES (default: all)
+ * @param {number|null} [options.expiresAt] - Timestamp after which the device key is not trusted
+ * @returns {{ v: number, publicKey: string, deviceKey: string, scope: string[], expiresAt: number|null, createdAt: number, signature: string }}
+ */
+export function createDelegation(publicKey, deviceKey, privateKey, { scope = DEVICE_CAPABILITIES, expiresAt = null } = {}) {
+  const createdAt = Date.now();
+  const dataToSign = signingData('delegation', { type: 'delegation', publicKey, deviceKey, scope, expiresAt, createdAt }, SIGNING_VERSION);
+  const signature = sign(dataToSign, privateKey);
+
+  return {
+    v: SIGNING_VERSION,
+    publicKey,
+    deviceKey,
+    scope,
+    expiresAt,
+    createdAt,
+    signature: signature.toString('hex')
+  };
+}
+
+/**
+ * Verify a delegation certificate
+ * @param {object} delegation - Certificate created with createDelegation
+ * @returns {boolean} True if the master key signed it
+ */
+export function verifyDelegation(delegation) {
+  try {
+    const { v, publicKey, deviceKey, scope, expiresAt, createdAt, signature } = delegation;
+    if (!/^[0-9a-fA-F]{64}$/.test(deviceKey) || deviceKey === publicKey) return false;
+    if (!Array.isArray(scope) || scope.length === 0 || !scope.every(capability => DEVICE_CAPABILITIES.includes(capability))) return false;
+    if ((expiresAt !== null && !Number.isInteger(expiresAt)) || !Number.isInteger(createdAt)) return false;
+
+    // Certificates were introduced with signing version 2, there is no legacy form
+    if (v === undefined) return false;
+    const dataToVerify = signingData('delegation', { type: 'delegation', publicKey, deviceKey, scope, expiresAt, createdAt }, v);
     return verify(
       dataToVerify,
       Buffer.from(signature, 'hex'),
@@ -144,3 +533,115 @@ export function verifyManifest(manifest) {
     return false;
   }
 }
+
+/**
+ * Create a device revocation: the master key withdraws a delegation
+ * @param {string} publicKey - Hex master public key
+ * @param {string} deviceKey - Hex public key of the revoked device
+ * @param {Buffer} privateKey - 32-byte master private key
+ * @param {number} [effectiveAt] - Timestamp from which the device key is no longer trusted
+ * @returns {{ v: number, publicKey: string, deviceKey: string, effectiveAt: number, createdAt: number, signature: string }}
+ */
+export function createDeviceRevocation(publicKey, deviceKey, privateKey, effectiveAt = Date.now()) {
+  const createdAt = Date.now();
+  const dataToSign = signingData('device-revocation', { type: 'device-revocation', publicKey, deviceKey, effectiveAt, createdAt }, SIGNING_VERSION);
+  const signature = sign(dataToSign, privateKey);
+
+  return {
+    v: SIGNING_VERSION,
+    publicKey,
+    deviceKey,
+    effectiveAt,
+    createdAt,
+    signature: signature.toString('hex')
+  };
+}
+
+/**
+ * Verify a device revocation
+ * @param {object} revocation - Revocation created with createDeviceRevocation
+ * @returns {boolean} True if the master key signed it
+ */
+export function verifyDeviceRevocation(revocation) {
+  try {
+    const { v, publicKey, deviceKey, effectiveAt, createdAt, signature } = revocation;
+    if (!/^[0-9a-fA-F]{64}$/.test(deviceKey)) return false;
+    if (!Number.isInteger(effectiveAt) || !Number.isInteger(createdAt) || v === undefined) return false;
+
+    const dataToVerify = signingData('device-revocation', { type: 'device-revocation', publicKey, deviceKey, effectiveAt, createdAt }, v);
+    return verify(
+      dataToVerify,
+      Buffer.from(signature, 'hex'),
+      Buffer.from(publicKey, 'hex')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Key that must have signed an object
+ *
+ * Objects signed by the master key are checked against their publicKey. Objects
+ * signed by a device key carry its delegation certificate, which must be signed by
+ * that publicKey, grant the capability, and be neither expired nor revoked at `at`.
+ *
+ * @param {object} object - Signed object with v, publicKey and optional delegation
+ * @param {string} capability - One of DEVICE_CAPABILITIES
+ * @param {number} at - Time the signature is checked for (ms)
+ * @param {object[]} [revocations] - Device revocations known for the master key
+ * @returns {string|null} Hex public key of the signer, null if the delegation is not valid
+ */
+export function resolveSigner({ v, publicKey, delegation }, capability, at, revocations = []) {
+  if (!delegation) return publicKey;
+
+  if (v === undefined || delegation.publicKey !== publicKey || !verifyDelegation(delegation)) return null;
+  if (!delegation.scope.includes(capability)) return null;
+  if (delegation.expiresAt !== null && at > delegation.expiresAt) return null;
+
+  const revoked = revocations.some(revocation =>
+    revocation.publicKey === publicKey &&
+    revocation.deviceKey === delegation.deviceKey &&
+    at >= revocation.effectiveAt &&
+    verifyDeviceRevocation(revocation));
+  return revoked ? null : delegation.deviceKey;
+}
+
+/**
+ * Key that must have signed an object dated by its signer (message timestamp, page createdAt)
+ *
+ * A revoked or expired device key could simply backdate new objects, so their own time only
+ * counts up to `vouchedAt`: the time a verified manifest committing to the object was received,
+ * which the device does not control. Without it the delegation must also still be valid now.
+ *
+ * @param {object} object - Signed object with v, publicKey and optional delegation
+ * @param {string} capability - One of DEVICE_CAPABILITIES
+ * @param {number} signedAt - Time the object claims to be signed at (ms)
+ * @param {number} [vouchedAt] - Time the object is known to have existed by (ms)
+ * @param {object[]} [revocations] - Device revocations known for the master key
+ * @returns {string|null} Hex public key of the signer, null if the delegation is not valid
+ */
+function resolveDatedSigner(object, capability, signedAt, vouchedAt, revocations) {
+  if (vouchedAt !== undefined) {
+    return resolveSigner(object, capability, Math.min(signedAt, vouchedAt), revocations);
+  }
+  const signer = resolveSigner(object, capability, signedAt, revocations);
+  return signer && resolveSigner(object, capability, Math.max(signedAt, Date.now()), revocations);
+}
+
+/**
+ * Combine lists of device revocations, keeping the earliest one per device
+ * @param {...object[]} lists - Revocations, undefined lists are skipped
+ * @returns {object[]}
+ */
+export function mergeDeviceRevocations(...lists) {
+  const byDevice = new Map();
+  for (const revocation of lists.flat().filter(Boolean)) {
+    const key = `${revocation.publicKey}/${revocation.deviceKey}`;
+    const current = byDevice.get(key);
+    if (!current || revocation.effectiveAt < current.effectiveAt) {
+      byDevice.set(key, revocation);
+    }
+  }
+  return [...byDevice.values()];
+}
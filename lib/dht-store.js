@@ -1,5 +1,6 @@
 import DHT from 'bittorrent-dht';
 import crypto from 'crypto';
+import { verify } from './crypto-utils.js';
 
 // Well-known DHT bootstrap nodes - using many for better connectivity
 const BOOTSTRAP_NODES = [
@@ -11,19 +12,57 @@ const BOOTSTRAP_NODES = [
   { host: 'router.silotis.us', port: 6881 }
 ];
 
+// BEP44 values must be smaller than this many bytes
+export const MAX_ITEM_SIZE = 1000;
+
+// bittorrent-dht calls verify(signature, message, publicKey)
+const verifyItem = (signature, message, publicKey) => verify(message, signature, publicKey);
+
+/**
+ * Parse a comma-separated list of host:port bootstrap nodes
+ * @param {string} value - e.g. "127.0.0.1:6881,router.example.com:6881"
+ * @returns {{ host: string, port: number }[]}
+ */
+export function parseBootstrapNodes(value) {
+  return value
+    .split(',')
+    .map(node => node.trim())
+    .filter(Boolean)
+    .map(node => {
+      const separator = node.lastIndexOf(':');
+      const port = parseInt(node.slice(separator + 1));
+      if (separator === -1 || !port) {
+        throw new Error(`Invalid DHT bootstrap node: ${node}`);
+      }
+      return { host: node.slice(0, separator), port };
+    });
+}
+
 /**
  * Create and bootstrap a DHT instance
+ * @param {object} [options]
+ * @param {Array<{ host: string, port: number }>|false} [options.bootstrap] - Bootstrap nodes, false for none (default: DHT_BOOTSTRAP or public routers)
+ * @param {number} [options.minNodes] - Nodes to wait for before resolving (default: DHT_MIN_NODES or 20)
+ * @param {number} [options.bootstrapTimeout] - Resolve with fewer nodes after this many ms (default: DHT_BOOTSTRAP_TIMEOUT or 30000)
+ * @param {number} [options.retryTimeout] - Wait after re-adding the bootstrap nodes when none answered (default: 10000)
+ * @param {string} [options.host] - Address to bind to (default: all interfaces)
  * @returns {Promise<DHT>}
  */
-export function createDHT() {
+export function createDHT(options = {}) {
+  const bootstrap = options.bootstrap ?? (process.env.DHT_BOOTSTRAP ? parseBootstrapNodes(process.env.DHT_BOOTSTRAP) : BOOTSTRAP_NODES);
+  const minNodes = options.minNodes || parseInt(process.env.DHT_MIN_NODES) || 20;
+  const bootstrapTimeout = options.bootstrapTimeout || parseInt(process.env.DHT_BOOTSTRAP_TIMEOUT) || 30000;
+  const retryTimeout = options.retryTimeout || 10000;
+
   return new Promise((resolve, reject) => {
     const dht = new DHT({
-      verify: crypto.verify,
-      bootstrap: BOOTSTRAP_NODES
+      verify: verifyItem,
+      bootstrap
     });
 
     let resolved = false;
     let nodeCount = 0;
+    let timeoutId = null;
 
     dht.on('ready', () => {
       console.log('DHT listening, waiting for nodes...');
@@ -32,8 +71,9 @@ export function createDHT() {
     // Wait for nodes to be added - need more for reliable BEP44
     dht.on('node', (node) => {
       nodeCount++;
-      if (!resolved && nodeCount >= 20) {
+      if (!resolved && nodeCount >= minNodes) {
         resolved = true;
+        clearTimeout(timeoutId);
         console.log(`Connected to ${nodeCount} DHT nodes`);
         resolve(dht);
       }
@@ -42,46 +82,98 @@ export function createDHT() {
     dht.on('error', (err) => {
       if (!resolved) {
         resolved = true;
+        clearTimeout(timeoutId);
         reject(err);
       }
     });
 
     // Start listening
-    dht.listen();
+    if (options.host) {
+      dht.listen(0, options.host);
+    } else {
+      dht.listen();
+    }
 
     // Timeout if bootstrap takes too long - but still resolve with whatever we have
-    setTimeout(() => {
+    timeoutId = setTimeout(() => {
       if (!resolved) {
         resolved = true;
-        console.log(`Bootstrap timeout after 30s, connected to ${nodeCount} nodes`);
-        if (nodeCount > 0) {
+        console.log(`Bootstrap timeout after ${bootstrapTimeout / 1000}s, connected to ${nodeCount} nodes`);
+        if (nodeCount > 0 || !bootstrap || bootstrap.length === 0) {
           resolve(dht);
         } else {
           // Try to manually bootstrap
           console.log('Attempting manual bootstrap...');
-          for (const node of BOOTSTRAP_NODES) {
+          for (const node of bootstrap) {
             dht.addNode(node);
           }
           setTimeout(() => {
             const finalCount = dht.toJSON().nodes?.length || 0;
             console.log(`After manual bootstrap: ${finalCount} nodes`);
             resolve(dht);
-          }, 10000);
+          }, retryTimeout);
         }
       }
-    }, 30000);
+    }, bootstrapTimeout);
   });
 }
 
+/**
+ * Start a small DHT swarm on loopback, for exercising BEP44 without internet
+ * Point clients at it with createDHT({ bootstrap: swarm.bootstrap, minNodes: size })
+ * @param {number} [size] - Number of nodes (default: 4)
+ * @param {number} [timeout] - Give up if the nodes do not find each other in time (ms)
+ * @returns {Promise<{ nodes: DHT[], bootstrap: { host: string, port: number }[], destroy: function(): Promise<void> }>}
+ */
+export async function createLocalSwarm(size = 4, timeout = 5000) {
+  const nodes = [];
+  for (let i = 0; i < size; i++) {
+    const node = new DHT({ verify: verifyItem, bootstrap: false });
+    await new Promise((resolve, reject) => {
+      node.once('error', reject);
+      node.listen(0, '127.0.0.1', resolve);
+    });
+    nodes.push(node);
+  }
+
+  const bootstrap = nodes.map(node => ({ host: '127.0.0.1', port: node.address().port }));
+  const destroy = () => Promise.all(nodes.map(destroyDHT)).then(() => {});
+
+  // Introduce every node to every other node and wait until the pings are answered
+  for (const node of nodes) {
+    for (const peer of bootstrap) {
+      if (peer.port !== node.address().port) node.addNode(peer);
+    }
+  }
+
+  const deadline = Date.now() + timeout;
+  while (nodes.some(node => node.toJSON().nodes.length < size - 1)) {
+    if (Date.now() > deadline) {
+      await destroy();
+      throw new Error('Local DHT swarm did not connect in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  return { nodes, bootstrap, destroy };
+}
+
 /**
  * Get a mutable item from DHT by public key (BEP44)
  * @param {DHT} dht - DHT instance
  * @param {Buffer} publicKey - 32-byte ed25519 public key
  * @param {number} timeout - Timeout in milliseconds
  * @param {number} retries - Number of retry attempts
+ * @param {Buffer|string} [salt] - Salt selecting one of several items under the same key (max 64 bytes)
  * @returns {Promise<{ seq: number, value: Buffer } | null>}
  */
-export function getMutable(dht, publicKey, timeout = 30000, retries = 3) {
+export function getMutable(dht, publicKey, timeout = 30000, retries = 3, salt = null) {
+  // Mutable items are stored under sha1(publicKey + salt)
+  const saltBuffer = salt ? Buffer.from(salt) : null;
+  const target = crypto.createHash('sha1')
+    .update(saltBuffer ? Buffer.concat([publicKey, saltBuffer]) : publicKey)
+    .digest();
+
   return new Promise((resolve) => {
     let resolved = false;
     let bestResult = null;
@@ -91,7 +183,7 @@ export function getMutable(dht, publicKey, timeout = 30000, retries = 3) {
       attemptCount++;
       console.log(`DHT lookup attempt ${attemptCount}/${retries + 1}...`);
 
-      dht.get(publicKey, (err, result) => {
+      dht.get(target, saltBuffer ? { salt: saltBuffer } : {}, (err, result) => {
         if (resolved) return;
 
         if (err) {
@@ -115,38 +207,42 @@ export function getMutable(dht, publicKey, timeout = 30000, retries = 3) {
     attemptGet();
 
     // Schedule retry attempts
+    const retryTimers = [];
     for (let i = 1; i <= retries; i++) {
-      setTimeout(() => {
+      retryTimers.push(setTimeout(() => {
         if (!resolved && !bestResult) {
           attemptGet();
         }
-      }, i * 5000); // Retry every 5 seconds
+      }, i * 5000)); // Retry every 5 seconds
     }
 
+    const finish = () => {
+      resolved = true;
+      clearTimeout(timeoutId);
+      clearInterval(checkInterval);
+      retryTimers.forEach(clearTimeout);
+      resolve(bestResult);
+    };
+
     // Final timeout - resolve with whatever we have
     const timeoutId = setTimeout(() => {
       if (!resolved) {
-        resolved = true;
         if (bestResult) {
           console.log(`DHT lookup succeeded with seq: ${bestResult.seq}`);
         } else {
           console.log('DHT lookup timed out with no results');
         }
-        resolve(bestResult);
+        finish();
       }
     }, timeout);
 
     // Also resolve early if we get a result
     const checkInterval = setInterval(() => {
       if (bestResult && !resolved) {
+        clearInterval(checkInterval);
         // Wait a bit more for potentially better results
         setTimeout(() => {
-          if (!resolved) {
-            resolved = true;
-            clearTimeout(timeoutId);
-            clearInterval(checkInterval);
-            resolve(bestResult);
-          }
+          if (!resolved) finish();
         }, 3000);
       }
     }, 1000);
@@ -158,17 +254,19 @@ export function getMutable(dht, publicKey, timeout = 30000, retries = 3) {
  * @param {DHT} dht - DHT instance
  * @param {Buffer} publicKey - 32-byte ed25519 public key
  * @param {Buffer} privateKey - 32-byte ed25519 private key
- * @param {Buffer|string} value - Value to store (max 1000 bytes)
+ * @param {Buffer|string} value - Value to store (less than 1000 bytes)
  * @param {number} seq - Sequence number (must be higher than previous)
  * @param {number} retries - Number of retries
+ * @param {Buffer|string} [salt] - Salt selecting one of several items under the same key (max 64 bytes)
+ * @param {number} [cas] - Only overwrite the item if nodes hold this seq; rejects with err.code 301 otherwise
  * @returns {Promise<Buffer>} - Hash of the stored item
  */
-export function putMutable(dht, publicKey, privateKey, value, seq, retries = 3) {
+export function putMutable(dht, publicKey, privateKey, value, seq, retries = 3, salt = null, cas) {
   return new Promise((resolve, reject) => {
     const valueBuffer = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
 
-    if (valueBuffer.length > 1000) {
-      reject(new Error('Value exceeds 1000 byte limit for BEP44'));
+    if (valueBuffer.length >= MAX_ITEM_SIZE) {
+      reject(new Error(`Value exceeds ${MAX_ITEM_SIZE - 1} byte limit for BEP44`));
       return;
     }
 
@@ -191,6 +289,12 @@ export function putMutable(dht, publicKey, privateKey, value, seq, retries = 3)
       seq: seq,
       sign: sign
     };
+    if (salt) {
+      opts.salt = Buffer.from(salt);
+    }
+    if (typeof cas === 'number') {
+      opts.cas = cas;
+    }
 
     const attemptPut = (attemptsLeft) => {
       // Check if DHT has nodes
@@ -219,6 +323,113 @@ export function putMutable(dht, publicKey, privateKey, value, seq, retries = 3)
   });
 }
 
+/**
+ * Put an immutable item to DHT (BEP44), addressed by the hash of its content
+ * @param {DHT} dht - DHT instance
+ * @param {Buffer|string} value - Value to store (less than 1000 bytes)
+ * @param {number} retries - Number of retries
+ * @returns {Promise<string>} - Hex hash to fetch the item with
+ */
+export function putImmutable(dht, value, retries = 3) {
+  return new Promise((resolve, reject) => {
+    const valueBuffer = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+
+    if (valueBuffer.length >= MAX_ITEM_SIZE) {
+      reject(new Error(`Value exceeds ${MAX_ITEM_SIZE - 1} byte limit for BEP44`));
+      return;
+    }
+
+    const attemptPut = (attemptsLeft) => {
+      dht.put({ v: valueBuffer }, (err, hash) => {
+        if (err) {
+          if (attemptsLeft > 0 && err.message.includes('No nodes')) {
+            console.log(`Retrying DHT put... (${attemptsLeft} retries left)`);
+            setTimeout(() => attemptPut(attemptsLeft - 1), 5000);
+          } else {
+            reject(err);
+          }
+        } else {
+          resolve(hash.toString('hex'));
+        }
+      });
+    };
+
+    attemptPut(retries);
+  });
+}
+
+/**
+ * Get an immutable item from DHT by hash (BEP44)
+ * The DHT client only accepts a value whose hash matches, so the result needs no further checks
+ * @param {DHT} dht - DHT instance
+ * @param {string} hash - Hex hash returned by putImmutable
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Buffer | null>}
+ */
+export function getImmutable(dht, hash, timeout = 30000) {
+  return new Promise((resolve) => {
+    let resolved = false;
+
+    const timeoutId = setTimeout(() => {
+      if (!resolved) {
+        resolved = true;
+        console.log('DHT lookup timed out with no results');
+        resolve(null);
+      }
+    }, timeout);
+
+    dht.get(Buffer.from(hash, 'hex'), (err, result) => {
+      if (resolved) return;
+      resolved = true;
+      clearTimeout(timeoutId);
+
+      if (err) {
+        console.log(`DHT get error: ${err.message}`);
+      }
+      resolve(result && result.v ? result.v : null);
+    });
+  });
+}
+
+/**
+ * Publish a manifest infohash as the BEP44 mutable item of a public key
+ * @param {DHT} dht - DHT instance
+ * @param {Buffer} publicKey - 32-byte ed25519 public key
+ * @param {Buffer} privateKey - 32-byte ed25519 private key
+ * @param {string} manifestInfohash - Manifest torrent infohash (hex)
+ * @param {number} seq - Sequence number, same as announced to the signaling server
+ * @param {string} [channel] - Channel name, stored as the BEP44 salt
+ * @param {number} [cas] - Seq the publisher expects the DHT to hold (compare-and-swap)
+ * @returns {Promise<Buffer>} - Hash of the stored item
+ */
+export function putManifestPointer(dht, publicKey, privateKey, manifestInfohash, seq, channel = null, cas) {
+  const value = JSON.stringify({ manifestInfohash });
+  return putMutable(dht, publicKey, privateKey, value, seq, 3, channel, cas);
+}
+
+/**
+ * Resolve the manifest infohash a public key published to the DHT
+ * The item signature is checked by the DHT client, so the result needs no signaling server
+ * @param {DHT} dht - DHT instance
+ * @param {Buffer} publicKey - 32-byte ed25519 public key
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {string} [channel] - Channel name, stored as the BEP44 salt
+ * @returns {Promise<{ manifestInfohash: string, seq: number } | null>}
+ */
+export async function getManifestPointer(dht, publicKey, timeout = 30000, channel = null) {
+  const result = await getMutable(dht, publicKey, timeout, 3, channel);
+  if (!result) return null;
+
+  try {
+    const { manifestInfohash } = JSON.parse(result.value.toString('utf8'));
+    if (!/^[0-9a-fA-F]{40}$/.test(manifestInfohash)) return null;
+    return { manifestInfohash, seq: result.seq };
+  } catch (err) {
+    console.log('Ignoring malformed DHT item');
+    return null;
+  }
+}
+
 /**
  * Destroy DHT instance
  * @param {DHT} dht
@@ -0,0 +1,385 @@
+import crypto from 'crypto';
+import { sign, verify, signingData, SIGNING_VERSION } from './crypto-utils.js';
+
+// DER headers for raw 32-byte X25519 keys
+const X25519_PKCS8_HEADER = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_HEADER = Buffer.from('302a300506032b656e032100', 'hex');
+
+// Field prime of Curve25519 / Ed25519: 2^255 - 19
+const P = (1n << 255n) - 19n;
+
+const ENVELOPE_VERSION = 1;
+const HKDF_INFO = 'torrent-messaging direct message v1';
+const GROUP_KEY_HKDF_INFO = 'torrent-messaging group key v1';
+
+/**
+ * Little-endian bytes to BigInt
+ * @param {Buffer} buf
+ * @returns {bigint}
+ */
+function bytesToBigInt(buf) {
+  return BigInt('0x' + Buffer.from(buf).reverse().toString('hex'));
+}
+
+/**
+ * BigInt to 32 little-endian bytes
+ * @param {bigint} n
+ * @returns {Buffer}
+ */
+function bigIntToBytes(n) {
+  return Buffer.from(n.toString(16).padStart(64, '0'), 'hex').reverse();
+}
+
+/**
+ * Modular exponentiation
+ * @param {bigint} base
+ * @param {bigint} exponent
+ * @returns {bigint}
+ */
+function modPow(base, exponent) {
+  let result = 1n;
+  base %= P;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % P;
+    base = (base * base) % P;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Convert an ed25519 public key to the X25519 public key of the same keypair
+ * (Edwards y to Montgomery u = (1 + y) / (1 - y))
+ * @param {Buffer} publicKey - 32-byte raw ed25519 public key
+ * @returns {Buffer} 32-byte raw X25519 public key
+ */
+export function ed25519PublicToX25519(publicKey) {
+  const bytes = Buffer.from(publicKey);
+  bytes[31] &= 0x7f; // Drop the sign bit of x
+  const y = bytesToBigInt(bytes);
+  if (y >= P || y === 1n) {
+    throw new Error('Invalid ed25519 public key');
+  }
+
+  const u = ((1n + y) * modPow((1n - y + P) % P, P - 2n)) % P;
+  return bigIntToBytes(u);
+}
+
+/**
+ * Convert an ed25519 private key (seed) to the matching X25519 private key
+ * @param {Buffer} privateKey - 32-byte raw ed25519 private key
+ * @returns {Buffer} 32-byte raw X25519 private key
+ */
+export function ed25519PrivateToX25519(privateKey) {
+  // The ed25519 scalar is the first half of sha512(seed); X25519 clamps it the same way
+  return crypto.createHash('sha512').update(privateKey).digest().subarray(0, 32);
+}
+
+/**
+ * X25519 key agreement on raw keys
+ * @param {Buffer} privateKey - 32-byte raw X25519 private key
+ * @param {Buffer} publicKey - 32-byte raw X25519 public key
+ * @returns {Buffer} Shared secret
+ */
+function x25519(privateKey, publicKey) {
+  return crypto.diffieHellman({
+    privateKey: crypto.createPrivateKey({
+      key: Buffer.concat([X25519_PKCS8_HEADER, privateKey]),
+      format: 'der',
+      type: 'pkcs8'
+    }),
+    publicKey: crypto.createPublicKey({
+      key: Buffer.concat([X25519_SPKI_HEADER, publicKey]),
+      format: 'der',
+      type: 'spki'
+    })
+  });
+}
+
+/**
+ * Derive the message key from the shared secret, bound to both X25519 public keys
+ * @returns {Buffer} 32-byte ChaCha20-Poly1305 key
+ */
+function deriveKey(sharedSecret, ephemeralPublicKey, recipientPublicKey, info) {
+  const salt = Buffer.concat([ephemeralPublicKey, recipientPublicKey]);
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, info, 32));
+}
+
+/**
+ * ChaCha20-Poly1305 encryption, the auth tag is appended to the ciphertext
+ * @returns {{ nonce: string, ciphertext: string }} Hex nonce and base64 ciphertext
+ */
+function aeadEncrypt(key, plaintext, aad) {
+  const nonce = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  return { nonce: nonce.toString('hex'), ciphertext: ciphertext.toString('base64') };
+}
+
+/**
+ * Reverse of aeadEncrypt, throws if the key or the additional data do not match
+ * @returns {string} Plaintext
+ */
+function aeadDecrypt(key, nonce, ciphertext, aad) {
+  const data = Buffer.from(ciphertext, 'base64');
+  const decipher = crypto.createDecipheriv('chacha20-poly1305', key, Buffer.from(nonce, 'hex'), { authTagLength: 16 });
+  decipher.setAAD(aad);
+  decipher.setAuthTag(data.subarray(-16));
+  return Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Encrypt to an ed25519 public key with a fresh ephemeral X25519 key
+ * @returns {{ ephemeralKey: string, nonce: string, ciphertext: string }}
+ */
+function sealTo(plaintext, recipientPublicKey, aad, info) {
+  const recipientX25519 = ed25519PublicToX25519(recipientPublicKey);
+
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralPublicKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' }).subarray(-32);
+  const sharedSecret = crypto.diffieHellman({
+    privateKey: ephemeral.privateKey,
+    publicKey: crypto.createPublicKey({
+      key: Buffer.concat([X25519_SPKI_HEADER, recipientX25519]),
+      format: 'der',
+      type: 'spki'
+    })
+  });
+
+  const key = deriveKey(sharedSecret, ephemeralPublicKey, recipientX25519, info);
+  return { ephemeralKey: ephemeralPublicKey.toString('hex'), ...aeadEncrypt(key, plaintext, aad) };
+}
+
+/**
+ * Open a sealTo result with the recipient's ed25519 keys
+ * @returns {string|null} Plaintext, or null if it was sealed to another key
+ */
+function openSealed(sealed, privateKey, publicKey, aad, info) {
+  try {
+    const recipientX25519 = ed25519PublicToX25519(publicKey);
+    const ephemeralPublicKey = Buffer.from(sealed.ephemeralKey, 'hex');
+    const sharedSecret = x25519(ed25519PrivateToX25519(privateKey), ephemeralPublicKey);
+    const key = deriveKey(sharedSecret, ephemeralPublicKey, recipientX25519, info);
+    return aeadDecrypt(key, sealed.nonce, sealed.ciphertext, aad);
+  } catch (err) {
+    // Authentication fails for data sealed to another key
+    return null;
+  }
+}
+
+/**
+ * Data covered by the sender's signature over an envelope
+ * @returns {string}
+ */
+function envelopeSigningData({ v, version, publicKey, ephemeralKey, nonce, ciphertext }) {
+  return signingData('encrypted-message', { type: 'encrypted', version, publicKey, ephemeralKey, nonce, ciphertext }, v);
+}
+
+/**
+ * Data covered by the sender's signature over a group channel envelope
+ * @returns {string}
+ */
+function groupEnvelopeSigningData({ v, version, publicKey, keyId, nonce, ciphertext }) {
+  return signingData('group-message', { type: 'group', version, publicKey, keyId, nonce, ciphertext }, v);
+}
+
+/**
+ * Encrypt a signed message to one recipient
+ *
+ * A fresh ephemeral X25519 key is agreed with the recipient's converted ed25519
+ * key and the message is sealed with ChaCha20-Poly1305. The envelope does not
+ * name the recipient; it is signed by the sender so it can be attributed
+ * (and republished) without being readable.
+ *
+ * @param {object} message - Message created with createSignedMessage
+ * @param {Buffer} senderPublicKey - 32-byte ed25519 public key
+ * @param {Buffer} senderPrivateKey - 32-byte ed25519 private key
+ * @param {Buffer} recipientPublicKey - 32-byte ed25519 public key of the recipient
+ * @returns {{ v: number, type: 'encrypted', version: number, publicKey: string, ephemeralKey: string, nonce: string, ciphertext: string, signature: string }}
+ */
+export function encryptMessage(message, senderPublicKey, senderPrivateKey, recipientPublicKey) {
+  const envelope = {
+    v: SIGNING_VERSION,
+    type: 'encrypted',
+    version: ENVELOPE_VERSION,
+    publicKey: senderPublicKey.toString('hex'),
+    ...sealTo(JSON.stringify(message), recipientPublicKey, senderPublicKey, HKDF_INFO)
+  };
+
+  return {
+    ...envelope,
+    signature: sign(envelopeSigningData(envelope), senderPrivateKey).toString('hex')
+  };
+}
+
+/**
+ * Check whether an object is an encrypted message envelope
+ * @param {object} message
+ * @returns {boolean}
+ */
+export function isEncryptedMessage(message) {
+  return Boolean(message) && message.type === 'encrypted';
+}
+
+/**
+ * Verify the sender's signature over an envelope (does not decrypt)
+ * @param {object} envelope
+ * @returns {boolean}
+ */
+export function verifyEncryptedMessage(envelope) {
+  try {
+    return verify(
+      envelopeSigningData(envelope),
+      Buffer.from(envelope.signature, 'hex'),
+      Buffer.from(envelope.publicKey, 'hex')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Decrypt an envelope with the local keys
+ * @param {object} envelope - Envelope created with encryptMessage
+ * @param {Buffer} privateKey - 32-byte ed25519 private key of the reader
+ * @param {Buffer} publicKey - 32-byte ed25519 public key of the reader
+ * @returns {object|null} The signed message, or null if it is addressed to someone else
+ */
+export function decryptMessage(envelope, privateKey, publicKey) {
+  if (envelope.version !== ENVELOPE_VERSION) return null;
+
+  const plaintext = openSealed(envelope, privateKey, publicKey, Buffer.from(envelope.publicKey, 'hex'), HKDF_INFO);
+  if (plaintext === null) return null;
+
+  try {
+    return JSON.parse(plaintext);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Generate a symmetric key for a group channel
+ * @returns {Buffer} 32-byte ChaCha20-Poly1305 key
+ */
+export function generateGroupKey() {
+  return crypto.randomBytes(32);
+}
+
+/**
+ * Encrypt the keys of a group channel to each member
+ *
+ * Every member gets all keys so messages sent before a rotation stay readable.
+ * The wraps do not name their member, a reader simply tries each one.
+ *
+ * @param {Array<{ keyId: number, key: string }>} keys - Channel keys (hex), oldest first
+ * @param {Buffer} publisherPublicKey - 32-byte ed25519 public key of the channel owner
+ * @param {Buffer[]} memberPublicKeys - 32-byte ed25519 public keys of the members
+ * @returns {{ keyId: number, wraps: object[] }} Group section of the manifest
+ */
+export function wrapGroupKeys(keys, publisherPublicKey, memberPublicKeys) {
+  const plaintext = JSON.stringify(keys);
+  const wraps = memberPublicKeys.map(member => sealTo(plaintext, member, publisherPublicKey, GROUP_KEY_HKDF_INFO));
+
+  // Shuffle so the order does not reveal which member was added when
+  for (let i = wraps.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [wraps[i], wraps[j]] = [wraps[j], wraps[i]];
+  }
+
+  return { keyId: keys[keys.length - 1].keyId, wraps };
+}
+
+/**
+ * Recover the channel keys from the group section of a manifest
+ * @param {object} group - Group section created with wrapGroupKeys
+ * @param {string} publisherPublicKey - Hex public key of the channel owner
+ * @param {Buffer} privateKey - 32-byte ed25519 private key of the reader
+ * @param {Buffer} publicKey - 32-byte ed25519 public key of the reader
+ * @returns {Map<number, Buffer>|null} keyId -> key, or null if the reader is not a member
+ */
+export function unwrapGroupKeys(group, publisherPublicKey, privateKey, publicKey) {
+  const aad = Buffer.from(publisherPublicKey, 'hex');
+
+  for (const wrap of group.wraps || []) {
+    const plaintext = openSealed(wrap, privateKey, publicKey, aad, GROUP_KEY_HKDF_INFO);
+    if (plaintext === null) continue;
+
+    try {
+      return new Map(JSON.parse(plaintext).map(({ keyId, key }) => [keyId, Buffer.from(key, 'hex')]));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Encrypt a signed message with the current key of a group channel
+ * @param {object} message - Message created with createSignedMessage
+ * @param {Buffer} senderPublicKey - 32-byte ed25519 public key
+ * @param {Buffer} senderPrivateKey - 32-byte ed25519 private key
+ * @param {number} keyId - Id of the channel key
+ * @param {Buffer} groupKey - 32-byte channel key
+ * @returns {{ v: number, type: 'group', version: number, publicKey: string, keyId: number, nonce: string, ciphertext: string, signature: string }}
+ */
+export function encryptGroupMessage(message, senderPublicKey, senderPrivateKey, keyId, groupKey) {
+  const envelope = {
+    v: SIGNING_VERSION,
+    type: 'group',
+    version: ENVELOPE_VERSION,
+    publicKey: senderPublicKey.toString('hex'),
+    keyId,
+    ...aeadEncrypt(groupKey, JSON.stringify(message), senderPublicKey)
+  };
+
+  return {
+    ...envelope,
+    signature: sign(groupEnvelopeSigningData(envelope), senderPrivateKey).toString('hex')
+  };
+}
+
+/**
+ * Check whether an object is a group channel envelope
+ * @param {object} message
+ * @returns {boolean}
+ */
+export function isGroupMessage(message) {
+  return Boolean(message) && message.type === 'group';
+}
+
+/**
+ * Verify the sender's signature over a group channel envelope (does not decrypt)
+ * @param {object} envelope
+ * @returns {boolean}
+ */
+export function verifyGroupMessage(envelope) {
+  try {
+    return verify(
+      groupEnvelopeSigningData(envelope),
+      Buffer.from(envelope.signature, 'hex'),
+      Buffer.from(envelope.publicKey, 'hex')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Decrypt a group channel envelope
+ * @param {object} envelope - Envelope created with encryptGroupMessage
+ * @param {Map<number, Buffer>} groupKeys - Keys returned by unwrapGroupKeys
+ * @returns {object|null} The signed message, or null if the key is not known
+ */
+export function decryptGroupMessage(envelope, groupKeys) {
+  const key = groupKeys.get(envelope.keyId);
+  if (envelope.version !== ENVELOPE_VERSION || !key) return null;
+
+  try {
+    return JSON.parse(aeadDecrypt(key, envelope.nonce, envelope.ciphertext, Buffer.from(envelope.publicKey, 'hex')));
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { isEncryptedKeystore } from './keystore.js';
+
+// The identity that predates named identities lives directly in data/
+export const DEFAULT_IDENTITY = 'default';
+
+const IDENTITY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check whether a string is a valid identity name
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidIdentity(name) {
+  return typeof name === 'string' && IDENTITY_PATTERN.test(name);
+}
+
+/**
+ * File holding the name of the default identity
+ * @param {string} dataDir - The data/ directory
+ * @returns {string}
+ */
+function settingsFile(dataDir) {
+  return path.join(dataDir, 'identities.json');
+}
+
+/**
+ * Name of the identity used when none is given
+ * @param {string} dataDir - The data/ directory
+ * @returns {string}
+ */
+export function getDefaultIdentity(dataDir) {
+  const file = settingsFile(dataDir);
+  if (fs.existsSync(file)) {
+    const { default: name } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (isValidIdentity(name)) return name;
+  }
+  return DEFAULT_IDENTITY;
+}
+
+/**
+ * Set the identity used when none is given
+ * @param {string} dataDir - The data/ directory
+ * @param {string} name - Identity name
+ */
+export function setDefaultIdentity(dataDir, name) {
+  fs.writeFileSync(settingsFile(dataDir), JSON.stringify({ default: name }, null, 2));
+}
+
+/**
+ * Files of one identity
+ *
+ * The default identity keeps its files directly in data/ so existing setups
+ * work unchanged; named identities get data/identities/<name>/.
+ *
+ * @param {string} dataDir - The data/ directory
+ * @param {string} name - Identity name
+ * @returns {{ name: string, dir: string, label: string, keysFile: string, localIndexFile: string, groupsFile: string, devicesFile: string }}
+ */
+export function identityPaths(dataDir, name) {
+  const dir = name === DEFAULT_IDENTITY ? dataDir : path.join(dataDir, 'identities', name);
+  const label = name === DEFAULT_IDENTITY ? 'data/keys.json' : `identity ${name}`;
+  return {
+    name,
+    dir,
+    label,
+    keysFile: path.join(dir, 'keys.json'),
+    localIndexFile: path.join(dir, 'local-index.json'),
+    groupsFile: path.join(dir, 'groups.json'),
+    devicesFile: path.join(dir, 'devices.json')
+  };
+}
+
+/**
+ * Delegations issued to device keys and their revocations
+ * @param {string} devicesFile - devices.json of the master identity
+ * @returns {{ delegations: object[], revocations: object[] }}
+ */
+export function loadDevices(devicesFile) {
+  if (fs.existsSync(devicesFile)) {
+    return JSON.parse(fs.readFileSync(devicesFile, 'utf8'));
+  }
+  return { delegations: [], revocations: [] };
+}
+
+/**
+ * Save delegations and revocations of device keys
+ * @param {string} devicesFile - devices.json of the master identity
+ * @param {{ delegations: object[], revocations: object[] }} devices
+ */
+export function saveDevices(devicesFile, devices) {
+  fs.writeFileSync(devicesFile, JSON.stringify(devices, null, 2));
+}
+
+/**
+ * Resolve the identity to use: explicit name, then IDENTITY, then the configured default
+ * @param {string} dataDir - The data/ directory
+ * @param {string|null} [name] - Name given with --identity
+ * @returns {ReturnType<typeof identityPaths>}
+ * @throws {Error} If the name is not a valid identity name
+ */
+export function resolveIdentity(dataDir, name = null) {
+  const resolved = name || process.env.IDENTITY || getDefaultIdentity(dataDir);
+  if (!isValidIdentity(resolved)) {
+    throw new Error(`Invalid identity name "${resolved}". Use up to 64 letters, digits, "_" or "-".`);
+  }
+  return identityPaths(dataDir, resolved);
+}
+
+/**
+ * All identities that have keys, default identity first
+ * @param {string} dataDir - The data/ directory
+ * @returns {Array<{ name: string, publicKey: string|null, deviceKey?: string, encrypted: boolean }>}
+ */
+export function listIdentities(dataDir) {
+  const names = [DEFAULT_IDENTITY];
+  const identitiesDir = path.join(dataDir, 'identities');
+  if (fs.existsSync(identitiesDir)) {
+    names.push(...fs.readdirSync(identitiesDir).filter(isValidIdentity).sort());
+  }
+
+  const identities = [];
+  for (const name of names) {
+    const { keysFile } = identityPaths(dataDir, name);
+    if (!fs.existsSync(keysFile)) continue;
+
+    // The public keys are readable without the passphrase, also for encrypted keystores
+    const data = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    identities.push({
+      name,
+      publicKey: data.publicKey,
+      ...(data.deviceKey && { deviceKey: data.deviceKey }),
+      encrypted: isEncryptedKeystore(data)
+    });
+  }
+  return identities;
+}
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// File header of an encrypted keys file
+const KEYSTORE_FORMAT = 'torrent-messaging-keystore';
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost: 2^15 iterations with r=8 needs 32 MB, about 100 ms per unlock
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * Check whether a parsed keys file is an encrypted keystore
+ * @param {object} data - Parsed contents of a keys file
+ * @returns {boolean}
+ */
+export function isEncryptedKeystore(data) {
+  return Boolean(data) && data.format === KEYSTORE_FORMAT;
+}
+
+/**
+ * Derive the file key from a passphrase
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Header fields, authenticated along with the ciphertext so none can be swapped
+ * @returns {Buffer}
+ */
+function headerData({ format, version, publicKey, kdf, cipher }) {
+  return Buffer.from(JSON.stringify({ format, version, publicKey, kdf, cipher }));
+}
+
+/**
+ * Encrypt a keys object with a passphrase
+ *
+ * The public key stays readable in the header so the identity can be shown
+ * without unlocking it; everything else is sealed with ChaCha20-Poly1305
+ * under a scrypt-derived key.
+ *
+ * @param {object} keys - Keys object with publicKey and privateKey (hex)
+ * @param {string} passphrase
+ * @returns {object} Keystore to write as JSON
+ */
+export function encryptKeystore(keys, passphrase) {
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const nonce = crypto.randomBytes(12);
+  const header = {
+    format: KEYSTORE_FORMAT,
+    version: KEYSTORE_VERSION,
+    publicKey: keys.publicKey,
+    kdf: { name: 'scrypt', salt: salt.toString('hex'), ...SCRYPT_PARAMS },
+    cipher: { name: 'chacha20-poly1305', nonce: nonce.toString('hex') }
+  };
+
+  const cipher = crypto.createCipheriv('chacha20-poly1305', deriveKey(passphrase, salt, SCRYPT_PARAMS), nonce, { authTagLength: 16 });
+  cipher.setAAD(headerData(header));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(keys), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return { ...header, ciphertext: ciphertext.toString('base64') };
+}
+
+/**
+ * Decrypt a keystore
+ * @param {object} store - Keystore created with encryptKeystore
+ * @param {string} passphrase
+ * @returns {object} Keys object
+ * @throws {Error} With code WRONG_PASSPHRASE if the passphrase does not match
+ */
+export function decryptKeystore(store, passphrase) {
+  if (store.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version ${store.version}, update torrent-messaging`);
+  }
+  if (store.kdf?.name !== 'scrypt' || store.cipher?.name !== 'chacha20-poly1305') {
+    throw new Error('Unsupported keystore algorithms');
+  }
+
+  const { salt, N, r, p } = store.kdf;
+  const key = deriveKey(passphrase, Buffer.from(salt, 'hex'), { N, r, p });
+  const data = Buffer.from(store.ciphertext, 'base64');
+
+  let keys;
+  try {
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', key, Buffer.from(store.cipher.nonce, 'hex'), { authTagLength: 16 });
+    decipher.setAAD(headerData(store));
+    decipher.setAuthTag(data.subarray(-16));
+    keys = JSON.parse(Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]).toString('utf8'));
+  } catch (err) {
+    const error = new Error('Wrong passphrase (or the keys file is damaged)');
+    error.code = 'WRONG_PASSPHRASE';
+    throw error;
+  }
+
+  if (keys.publicKey !== store.publicKey) {
+    throw new Error('Keystore header does not match the encrypted keys');
+  }
+  return keys;
+}
+
+/**
+ * Read a passphrase from the terminal without echoing it
+ * @param {string} question - Prompt to print
+ * @returns {Promise<string>}
+ */
+export function promptPassphrase(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('No terminal to ask for the passphrase, set KEYS_PASSPHRASE'));
+  }
+
+  return new Promise((resolve) => {
+    let input = '';
+    process.stdout.write(question);
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding('utf8');
+    process.stdin.resume();
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          process.stdin.setRawMode(false);
+          process.stdin.pause();
+          process.stdin.removeListener('data', onData);
+          process.stdout.write('\n');
+          resolve(input);
+          return;
+        } else if (char === '\u0003') {
+          // Ctrl+C, raw mode swallows the signal
+          process.stdout.write('\n');
+          process.exit(130);
+        } else if (char === '\u007f' || char === '\b') {
+          input = input.slice(0, -1);
+        } else {
+          input += char;
+        }
+      }
+    };
+    process.stdin.on('data', onData);
+  });
+}
+
+/**
+ * Passphrase from KEYS_PASSPHRASE, or asked on the terminal
+ * @param {string} [question] - Prompt to print
+ * @returns {Promise<string>}
+ */
+export function getPassphrase(question = 'Passphrase for data/keys.json: ') {
+  if (process.env.KEYS_PASSPHRASE) {
+    return Promise.resolve(process.env.KEYS_PASSPHRASE);
+  }
+  return promptPassphrase(question);
+}
+
+/**
+ * Load a keys file, unlocking it first if it is encrypted
+ * @param {string} file - Path of the keys file
+ * @param {string} [label] - Name of the keys shown in the passphrase prompt
+ * @returns {Promise<object>} Keys object with publicKey and privateKey (hex)
+ */
+export async function loadKeys(file, label = 'data/keys.json') {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!isEncryptedKeystore(data)) {
+    return data;
+  }
+
+  return decryptKeystore(data, await getPassphrase(`Passphrase for ${label}: `));
+}
+
+/**
+ * Write a keys file readable only by the owner, encrypted if a passphrase is given
+ * The device key of a delegated identity stays readable, like the public key.
+ * @param {string} file - Path of the keys file
+ * @param {object} keys - Keys object
+ * @param {string} [passphrase]
+ * @param {object} [extra] - Plaintext fields stored next to the keys (e.g. a succession statement)
+ */
+export function saveKeys(file, keys, passphrase = null, extra = {}) {
+  const data = passphrase
+    ? { ...encryptKeystore(keys, passphrase), ...(keys.deviceKey && { deviceKey: keys.deviceKey }) }
+    : keys;
+  fs.writeFileSync(file, JSON.stringify({ ...data, ...extra }, null, 2), { mode: 0o600 });
+  // The mode only applies to new files, tighten files written by older versions too
+  fs.chmodSync(file, 0o600);
+}
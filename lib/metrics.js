@@ -0,0 +1,131 @@
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * Render a label set as a Prometheus label string, e.g. {route="/lookup",status="200"}
+ * @param {object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const keys = Object.keys(labels).sort();
+  if (keys.length === 0) return '';
+
+  const pairs = keys.map(key => {
+    const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${key}="${value}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Create a metrics registry rendered in the Prometheus text exposition format
+ * @returns {{ counter: function, gauge: function, histogram: function, render: function(): string }}
+ */
+export function createRegistry() {
+  const metrics = [];
+
+  /**
+   * Register a counter
+   * @param {string} name
+   * @param {string} help
+   * @returns {{ inc: function(object=, number=): void }}
+   */
+  const counter = (name, help) => {
+    const values = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...values].map(([labels, value]) => `${name}${labels} ${value}`)
+    });
+
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = formatLabels(labels);
+        values.set(key, (values.get(key) || 0) + value);
+      }
+    };
+  };
+
+  /**
+   * Register a gauge whose value is read at scrape time
+   * @param {string} name
+   * @param {string} help
+   * @param {function(): number|Array<[object, number]>} collect - Single value, or [labels, value] pairs
+   */
+  const gauge = (name, help, collect) => {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => {
+        const result = collect();
+        if (result === null || result === undefined) return [];
+        if (!Array.isArray(result)) return [`${name} ${result}`];
+        return result.map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`);
+      }
+    });
+  };
+
+  /**
+   * Register a histogram
+   * @param {string} name
+   * @param {string} help
+   * @param {number[]} [buckets] - Upper bounds, ascending
+   * @returns {{ observe: function(object, number): void }}
+   */
+  const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+    // label string -> { labels, counts per bucket, sum, count }
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          let cumulative = 0;
+          buckets.forEach((bound, i) => {
+            cumulative += counts[i];
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    });
+
+    return {
+      observe: (labels, value) => {
+        const key = formatLabels(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        const index = buckets.findIndex(bound => value <= bound);
+        if (index !== -1) entry.counts[index]++;
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  };
+
+  /**
+   * Render every registered metric
+   * @returns {string}
+   */
+  const render = () => {
+    const output = [];
+    for (const metric of metrics) {
+      output.push(`# HELP ${metric.name} ${metric.help}`);
+      output.push(`# TYPE ${metric.name} ${metric.type}`);
+      output.push(...metric.lines());
+    }
+    return output.join('\n') + '\n';
+  };
+
+  return { counter, gauge, histogram, render };
+}
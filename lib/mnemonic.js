@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import { entropyToMnemonic, mnemonicToEntropy } from 'bip39';
+
+// Compact backups: prefix, base32 of the seed, then 4 checksum bytes
+const COMPACT_PREFIX = 'tmk1';
+const COMPACT_CHECKSUM_BYTES = 4;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Encode bytes as lowercase RFC 4648 base32 without padding
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode lowercase base32 without padding
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the alphabet
+ */
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid character "${char}" in backup string`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Checksum of a seed in the compact encoding
+ * @param {Buffer} seed
+ * @returns {Buffer}
+ */
+function compactChecksum(seed) {
+  return crypto.createHash('sha256').update(seed).digest().subarray(0, COMPACT_CHECKSUM_BYTES);
+}
+
+/**
+ * Encode a 32-byte ed25519 seed as 24 BIP39 words (the last word holds a checksum)
+ * @param {Buffer} seed - 32-byte raw private key
+ * @returns {string} Space-separated words
+ */
+export function seedToMnemonic(seed) {
+  if (seed.length !== 32) {
+    throw new Error('Seed must be 32 bytes');
+  }
+  return entropyToMnemonic(seed.toString('hex'));
+}
+
+/**
+ * Encode a 32-byte ed25519 seed as a compact string (tmk1...)
+ * @param {Buffer} seed - 32-byte raw private key
+ * @returns {string}
+ */
+export function seedToCompact(seed) {
+  if (seed.length !== 32) {
+    throw new Error('Seed must be 32 bytes');
+  }
+  return COMPACT_PREFIX + base32Encode(Buffer.concat([seed, compactChecksum(seed)]));
+}
+
+/**
+ * Decode a backup made with seedToMnemonic or seedToCompact
+ *
+ * Case, extra whitespace and dashes (in the compact string) are ignored, so
+ * handwritten copies can be typed back as they are.
+ *
+ * @param {string} backup - Word list or compact string
+ * @returns {Buffer} 32-byte raw private key
+ * @throws {Error} If a word is unknown or the checksum does not match
+ */
+export function backupToSeed(backup) {
+  const text = backup.trim().toLowerCase();
+
+  if (text.startsWith(COMPACT_PREFIX)) {
+    const encoded = text.slice(COMPACT_PREFIX.length).replace(/[\s-]/g, '');
+    const data = base32Decode(encoded);
+    // Re-encoding catches extra characters that do not fill a whole byte
+    if (data.length !== 32 + COMPACT_CHECKSUM_BYTES || base32Encode(data) !== encoded) {
+      throw new Error('Backup string is incomplete or has extra characters');
+    }
+    const seed = data.subarray(0, 32);
+    if (!compactChecksum(seed).equals(data.subarray(32))) {
+      throw new Error('Backup string checksum does not match, check for typos');
+    }
+    return seed;
+  }
+
+  const words = text.split(/\s+/);
+  if (words.length !== 24) {
+    throw new Error(`Expected 24 words, got ${words.length}`);
+  }
+
+  let entropy;
+  try {
+    entropy = mnemonicToEntropy(words.join(' '));
+  } catch (err) {
+    // bip39 reports unknown words and checksum failures with terse messages
+    throw new Error('Invalid word list (unknown word or checksum mismatch), check for typos');
+  }
+  return Buffer.from(entropy, 'hex');
+}
@@ -0,0 +1,60 @@
+/**
+ * Create a token bucket rate limiter keyed by an arbitrary string (IP, public key, ...)
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window (0 disables the limiter)
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{ take: function(string): { allowed: boolean, retryAfter: number }, size: number }}
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  // key -> { tokens, updatedAt }
+  const buckets = new Map();
+  const refillPerMs = limit / windowMs;
+
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  };
+
+  /**
+   * Take one token for a key
+   * @param {string} key
+   * @returns {{ allowed: boolean, retryAfter: number }} retryAfter in seconds when not allowed
+   */
+  const take = (key) => {
+    if (!limit) return { allowed: true, retryAfter: 0 };
+
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit, updatedAt: now };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, now);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfter: 0 };
+    }
+
+    return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+  };
+
+  // Forget buckets that have refilled completely, so memory follows active clients only
+  if (limit) {
+    const timer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, bucket] of buckets) {
+        refill(bucket, now);
+        if (bucket.tokens >= limit) {
+          buckets.delete(key);
+        }
+      }
+    }, windowMs);
+    timer.unref();
+  }
+
+  return {
+    take,
+    get size() { return buckets.size; }
+  };
+}
@@ -0,0 +1,460 @@
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import fs from 'fs';
+import { solveProofOfWork } from './crypto-utils.js';
+
+// Give up on a server that does not answer a plain request in time
+const REQUEST_TIMEOUT = 10000;
+
+// Highest proof-of-work difficulty solved for a server; each extra bit doubles the work
+// and solving blocks the process, so a hostile server must not pick an arbitrary one
+const MAX_POW_DIFFICULTY = parseInt(process.env.MAX_POW_DIFFICULTY) || 24;
+
+// TLS trust settings for https:// servers, read once from the environment
+let tlsOptions = null;
+
+/**
+ * TLS options for https requests
+ * SERVER_CA: PEM file with extra trusted CA(s), or a self-signed server certificate
+ * SERVER_PIN: SHA-256 fingerprint the server certificate must have
+ * @returns {object}
+ */
+function getTLSOptions() {
+  if (tlsOptions) return tlsOptions;
+
+  tlsOptions = {};
+  if (process.env.SERVER_CA) {
+    tlsOptions.ca = [...tls.rootCertificates, fs.readFileSync(process.env.SERVER_CA, 'utf8')];
+  }
+  if (process.env.SERVER_PIN) {
+    const pin = process.env.SERVER_PIN.replace(/:/g, '').toUpperCase();
+    tlsOptions.checkServerIdentity = (hostname, cert) => {
+      const err = tls.checkServerIdentity(hostname, cert);
+      if (err) return err;
+      if (cert.fingerprint256.replace(/:/g, '') !== pin) {
+        return new Error(`Certificate fingerprint ${cert.fingerprint256} does not match SERVER_PIN`);
+      }
+      return undefined;
+    };
+  }
+  return tlsOptions;
+}
+
+/**
+ * Pick http or https from the URL scheme and build request options
+ * @param {string} serverUrl - Base URL of the server
+ * @param {object} options - Request options (path, method, headers, ...)
+ * @returns {{ transport: object, options: object }}
+ */
+function requestOptions(serverUrl, options) {
+  const url = new URL(serverUrl);
+  const secure = url.protocol === 'https:';
+
+  if (!secure && url.protocol !== 'http:') {
+    throw new Error(`Unsupported server URL scheme: ${url.protocol}`);
+  }
+
+  return {
+    transport: secure ? https : http,
+    options: {
+      hostname: url.hostname,
+      port: url.port || (secure ? 443 : 80),
+      ...(secure && getTLSOptions()),
+      ...options
+    }
+  };
+}
+
+// Channel names double as BEP44 salt, which is limited to 64 bytes
+const CHANNEL_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check a channel name (letters, digits, "_" and "-", at most 64 characters)
+ * @param {string} channel
+ * @returns {boolean}
+ */
+export function isValidChannel(channel) {
+  return typeof channel === 'string' && CHANNEL_PATTERN.test(channel);
+}
+
+/**
+ * Phone book key of a channel: the public key for the default channel, "publicKey/channel" otherwise
+ * Lookups and subscriptions accept either form
+ * @param {string} publicKeyHex
+ * @param {string|null} [channel]
+ * @returns {string}
+ */
+export function channelKey(publicKeyHex, channel) {
+  return channel ? `${publicKeyHex}/${channel}` : publicKeyHex;
+}
+
+/**
+ * Parse a comma-separated list of signaling server URLs
+ * @param {string} value - e.g. "http://a:3000,http://b:3000"
+ * @returns {string[]}
+ */
+export function parseServerUrls(value) {
+  return value
+    .split(',')
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Send a request to a signaling server and parse the JSON response
+ * @param {string} serverUrl - Base URL of the server
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including query string
+ * @param {object} [payload] - JSON body
+ * @param {object} [headers] - Extra request headers
+ * @returns {Promise<{ statusCode: number, body: object|null }>}
+ */
+export function requestJSON(serverUrl, method, path, payload, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const data = payload === undefined ? null : JSON.stringify(payload);
+    const { transport, options } = requestOptions(serverUrl, {
+      path,
+      method,
+      headers: data === null ? headers : {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data)
+      }
+    });
+
+    const req = transport.request(options, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ statusCode: res.statusCode, body: body ? JSON.parse(body) : null });
+        } catch (err) {
+          reject(new Error(`Invalid response from ${serverUrl}: ${body.slice(0, 100)}`));
+        }
+      });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT, () => {
+      req.destroy(new Error(`Request to ${serverUrl} timed out`));
+    });
+    req.on('error', reject);
+    if (data !== null) req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * Split settled per-server results into the servers that accepted and the ones that failed
+ * @param {string[]} serverUrls
+ * @param {PromiseSettledResult[]} results - In the same order as serverUrls
+ * @returns {{ accepted: string[], failed: { serverUrl: string, error: Error }[] }}
+ */
+function splitResults(serverUrls, results) {
+  const accepted = [];
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      accepted.push(serverUrls[i]);
+    } else {
+      failed.push({ serverUrl: serverUrls[i], error: result.reason });
+    }
+  });
+
+  return { accepted, failed };
+}
+
+/**
+ * Look up a public key on one signaling server
+ * @param {string} serverUrl
+ * @param {string} publicKeyHex - Public key, or "publicKey/channel" (see channelKey)
+ * @returns {Promise<object|null>} Entry, or null if the server does not know the key
+ */
+export async function lookupFromServer(serverUrl, publicKeyHex) {
+  const { statusCode, body } = await requestJSON(serverUrl, 'GET', `/lookup/${publicKeyHex}`);
+  if (statusCode === 200) return body;
+  if (statusCode === 404) return null;
+  throw new Error(`Server error: ${JSON.stringify(body)}`);
+}
+
+/**
+ * Look up a public key on every server and keep the entry with the highest seq
+ * @param {string[]} serverUrls
+ * @param {string} publicKeyHex - Public key, or "publicKey/channel" (see channelKey)
+ * @param {function(object): boolean} [accept] - Filter for trustworthy entries (e.g. signature check)
+ * @returns {Promise<{ entry: object, serverUrl: string } | null>} Null if no server knows the key
+ */
+export async function lookupFromServers(serverUrls, publicKeyHex, accept = () => true) {
+  const results = await Promise.allSettled(
+    serverUrls.map(serverUrl => lookupFromServer(serverUrl, publicKeyHex))
+  );
+
+  let best = null;
+  let reachable = 0;
+
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.log(`Server ${serverUrls[i]} unavailable: ${result.reason.message}`);
+      return;
+    }
+    reachable++;
+
+    const entry = result.value;
+    if (!entry) return;
+    if (!accept(entry)) {
+      console.log(`Ignoring entry from ${serverUrls[i]} (seq: ${entry.seq})`);
+      return;
+    }
+    if (!best || entry.seq > best.entry.seq) {
+      best = { entry, serverUrl: serverUrls[i] };
+    }
+  });
+
+  if (reachable === 0) {
+    throw new Error('No signaling server reachable');
+  }
+
+  return best;
+}
+
+/**
+ * Announce a signed manifest infohash to one signaling server
+ * Solves the proof-of-work challenge automatically if the server asks for one (first-time keys),
+ * unless its difficulty is above MAX_POW_DIFFICULTY, which fails this server only
+ * @param {string} serverUrl
+ * @param {{ publicKey: string, manifestInfohash: string, seq: number, signature: string }} announce
+ * @param {object} [headers] - Extra request headers (e.g. the peer secret of a forwarding server)
+ * @returns {Promise<object>} Server response
+ */
+export async function announceToServer(serverUrl, announce, headers = {}) {
+  let { statusCode, body } = await requestJSON(serverUrl, 'POST', '/announce', announce, headers);
+
+  if (statusCode === 428 && body && Number.isInteger(body.powDifficulty)) {
+    if (body.powDifficulty > MAX_POW_DIFFICULTY) {
+      const err = new Error(`Proof of work difficulty ${body.powDifficulty} is above MAX_POW_DIFFICULTY (${MAX_POW_DIFFICULTY})`);
+      err.statusCode = statusCode;
+      err.body = body;
+      throw err;
+    }
+    console.log(`${serverUrl} requires proof of work (difficulty ${body.powDifficulty}), computing...`);
+    const pow = solveProofOfWork(announce.publicKey, body.powDifficulty);
+    ({ statusCode, body } = await requestJSON(serverUrl, 'POST', '/announce', { ...announce, pow }, headers));
+  }
+
+  if (statusCode === 200) return body;
+
+  const err = new Error(`Server error: ${JSON.stringify(body)}`);
+  err.statusCode = statusCode;
+  err.body = body;
+  throw err;
+}
+
+/**
+ * Announce to every server in parallel
+ * @param {string[]} serverUrls
+ * @param {object} announce - Signed announce
+ * @param {object} [headers] - Extra request headers
+ * @returns {Promise<{ accepted: string[], failed: { serverUrl: string, error: Error }[] }>}
+ */
+export async function announceToServers(serverUrls, announce, headers = {}) {
+  const results = await Promise.allSettled(
+    serverUrls.map(serverUrl => announceToServer(serverUrl, announce, headers))
+  );
+
+  return splitResults(serverUrls, results);
+}
+
+/**
+ * Whether the entry a server answered 409 with is the given announce,
+ * e.g. forwarded by a peer server before the publisher's own request arrived
+ * @param {string} serverUrl
+ * @param {object} body - Body of the 409 response
+ * @param {object} announce - Signed announce
+ * @returns {Promise<boolean>}
+ */
+async function holdsAnnounce(serverUrl, body, announce) {
+  if (body.currentInfohash !== undefined) {
+    return body.currentSeq === announce.seq && body.currentInfohash === announce.manifestInfohash;
+  }
+  // Older servers do not return the infohash, look the entry up instead
+  try {
+    const entry = await lookupFromServer(serverUrl, channelKey(announce.publicKey, announce.channel || null));
+    return entry?.seq === announce.seq && entry.manifestInfohash === announce.manifestInfohash;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Announce to every server, each conditional on the seq that server is expected to hold
+ *
+ * A 409 for this very announce (forwarded by a peer server first) counts as accepted.
+ * A server that holds an older seq than expected only missed updates the others have,
+ * it is retried once with its own seq. Any other 409 means another device published.
+ *
+ * @param {string[]} serverUrls
+ * @param {object} announce - Signed announce, without expectedSeq
+ * @param {Map<string, number>} serverSeqs - Server URL -> expected seq, updated with the seq each server holds afterwards
+ * @returns {Promise<{ accepted: string[], conflicts: string[], failed: { serverUrl: string, error: Error }[] }>}
+ */
+export async function announceExpectingSeqs(serverUrls, announce, serverSeqs) {
+  const accepted = [];
+  const conflicts = [];
+  const failed = [];
+  const retried = new Set();
+  let pending = serverUrls;
+
+  while (pending.length > 0) {
+    const results = await Promise.allSettled(pending.map(serverUrl =>
+      announceToServer(serverUrl, { ...announce, expectedSeq: serverSeqs.get(serverUrl) ?? 0 })));
+    const retry = [];
+
+    for (const [i, serverUrl] of pending.entries()) {
+      const result = results[i];
+      if (result.status === 'fulfilled') {
+        accepted.push(serverUrl);
+        serverSeqs.set(serverUrl, announce.seq);
+        continue;
+      }
+
+      const error = result.reason;
+      const currentSeq = error.body?.currentSeq;
+      if (error.statusCode !== 409 || !Number.isInteger(currentSeq)) {
+        failed.push({ serverUrl, error });
+      } else if (await holdsAnnounce(serverUrl, error.body, announce)) {
+        accepted.push(serverUrl);
+        serverSeqs.set(serverUrl, announce.seq);
+      } else if (currentSeq < (serverSeqs.get(serverUrl) ?? 0) && !retried.has(serverUrl)) {
+        serverSeqs.set(serverUrl, currentSeq);
+        retried.add(serverUrl);
+        retry.push(serverUrl);
+      } else {
+        serverSeqs.set(serverUrl, currentSeq);
+        conflicts.push(serverUrl);
+      }
+    }
+
+    pending = retry;
+  }
+
+  return { accepted, conflicts, failed };
+}
+
+/**
+ * POST a signed statement to every server in parallel
+ * @param {string[]} serverUrls
+ * @param {string} path - Endpoint, e.g. '/succession'
+ * @param {object} statement
+ * @returns {Promise<{ accepted: string[], failed: { serverUrl: string, error: Error }[] }>}
+ */
+async function postToServers(serverUrls, path, statement) {
+  const results = await Promise.allSettled(serverUrls.map(async (serverUrl) => {
+    const { statusCode, body } = await requestJSON(serverUrl, 'POST', path, statement);
+    if (statusCode === 200) return body;
+
+    const err = new Error(`Server error: ${JSON.stringify(body)}`);
+    err.statusCode = statusCode;
+    err.body = body;
+    throw err;
+  }));
+
+  return splitResults(serverUrls, results);
+}
+
+/**
+ * Publish a signed succession statement (key rotation or revocation) to every server
+ * @param {string[]} serverUrls
+ * @param {object} succession - Statement created with createSuccession
+ * @returns {Promise<{ accepted: string[], failed: { serverUrl: string, error: Error }[] }>}
+ */
+export function publishSuccessionToServers(serverUrls, succession) {
+  return postToServers(serverUrls, '/succession', succession);
+}
+
+/**
+ * Publish a signed device revocation to every server
+ * @param {string[]} serverUrls
+ * @param {object} revocation - Revocation created with createDeviceRevocation
+ * @returns {Promise<{ accepted: string[], failed: { serverUrl: string, error: Error }[] }>}
+ */
+export function publishDeviceRevocationToServers(serverUrls, revocation) {
+  return postToServers(serverUrls, '/revoke-device', revocation);
+}
+
+/**
+ * Stream announces from a signaling server (Server-Sent Events)
+ * Resolves when the server closes the stream, rejects on connection errors
+ * @param {string} serverUrl
+ * @param {string[]} publicKeys - Keys to subscribe to, plain or "publicKey/channel"
+ * @param {function(object): void} onAnnounce - Called with each announced entry
+ * @param {number} [idleTimeout] - Treat the stream as dead after this much silence (ms)
+ * @param {AbortSignal} [signal] - Closes the stream when aborted
+ * @returns {Promise<void>}
+ */
+export function subscribeToServer(serverUrl, publicKeys, onAnnounce, idleTimeout = 60000, signal) {
+  return new Promise((resolve, reject) => {
+    // Sent as a JSON body, a long key list would not fit in the request line
+    const data = JSON.stringify({ publicKeys });
+    const { transport, options } = requestOptions(serverUrl, {
+      path: '/subscribe',
+      method: 'POST',
+      headers: {
+        'Accept': 'text/event-stream',
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data)
+      },
+      signal
+    });
+
+    const req = transport.request(options, (res) => {
+      if (res.statusCode !== 200) {
+        const err = new Error(`Server error: ${res.statusCode}`);
+        err.statusCode = res.statusCode;
+        res.resume();
+        reject(err);
+        return;
+      }
+
+      console.log(`Subscribed to ${serverUrl} for push updates`);
+
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          let event = 'message';
+          let data = '';
+          for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+          }
+
+          if (event !== 'announce' || !data) continue;
+
+          let entry;
+          try {
+            entry = JSON.parse(data);
+          } catch (e) {
+            console.error('Ignoring malformed announce event');
+            continue;
+          }
+          onAnnounce(entry);
+        }
+      });
+      res.on('error', reject);
+      res.on('close', resolve);
+    });
+
+    // Heartbeats keep the socket busy; silence means the connection is dead
+    req.setTimeout(idleTimeout, () => {
+      req.destroy(new Error('Subscription stream timed out'));
+    });
+    req.on('error', reject);
+    req.write(data);
+    req.end();
+  });
+}
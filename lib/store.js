@@ -0,0 +1,227 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'server');
+
+const JOURNAL_FILENAME = 'phonebook.journal';
+const SNAPSHOT_FILENAME = 'phonebook.snapshot.json';
+const SQLITE_FILENAME = 'phonebook.db';
+
+/**
+ * Create the phone book store used by the signaling server.
+ *
+ * Every backend exposes the same synchronous interface so the request
+ * handlers can check and update an entry without interleaving:
+ *   get(key), set(key, entry), size, entries(), sizeBytes(), close()
+ * sizeBytes() reports the on-disk footprint, or null for the memory backend.
+ *
+ * @param {object} [options]
+ * @param {string} [options.backend] - 'memory', 'journal' or 'sqlite' (default: STORE_BACKEND or 'memory')
+ * @param {string} [options.dir] - Directory for on-disk files (default: STORE_DIR or data/server)
+ * @param {number} [options.snapshotInterval] - Journal snapshot interval in ms (default: SNAPSHOT_INTERVAL or 60000)
+ * @returns {Promise<object>}
+ */
+export async function createStore(options = {}) {
+  const backend = options.backend || process.env.STORE_BACKEND || 'memory';
+  const dir = options.dir || process.env.STORE_DIR || DEFAULT_STORE_DIR;
+  const snapshotInterval = options.snapshotInterval || parseInt(process.env.SNAPSHOT_INTERVAL) || 60000;
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'journal':
+      return createJournalStore(dir, snapshotInterval);
+    case 'sqlite':
+      return createSqliteStore(dir);
+    default:
+      throw new Error(`Unknown store backend: ${backend}`);
+  }
+}
+
+/**
+ * In-memory store, lost on restart
+ * @returns {object}
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    backend: 'memory',
+    get: (key) => entries.get(key),
+    set: (key, entry) => { entries.set(key, entry); },
+    get size() { return entries.size; },
+    entries: () => entries.entries(),
+    sizeBytes: () => null,
+    close: () => {}
+  };
+}
+
+/**
+ * Append-only journal with periodic snapshots.
+ *
+ * Each accepted write is appended as one JSON line and fsynced before set()
+ * returns. A snapshot rewrites the full map to a temp file, renames it into
+ * place and only then truncates the journal; replaying a journal on top of
+ * a snapshot that already contains its records is harmless because each
+ * record carries the complete entry.
+ *
+ * @param {string} dir - Directory holding the journal and snapshot files
+ * @param {number} snapshotInterval - Snapshot interval in milliseconds
+ * @returns {object}
+ */
+function createJournalStore(dir, snapshotInterval) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const journalPath = path.join(dir, JOURNAL_FILENAME);
+  const snapshotPath = path.join(dir, SNAPSHOT_FILENAME);
+  const entries = new Map();
+
+  // Load last snapshot
+  if (fs.existsSync(snapshotPath)) {
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    for (const [key, entry] of Object.entries(snapshot.entries)) {
+      entries.set(key, entry);
+    }
+  }
+
+  // Replay journal records written since the snapshot
+  const replayed = replayJournal(journalPath, entries);
+  console.log(`Journal store: loaded ${entries.size} entries (${replayed} replayed from journal)`);
+
+  const fd = fs.openSync(journalPath, 'a');
+  let dirty = replayed > 0;
+
+  const snapshot = () => {
+    if (!dirty) return;
+
+    const tmpPath = `${snapshotPath}.tmp`;
+    const content = JSON.stringify({ createdAt: Date.now(), entries: Object.fromEntries(entries) });
+    const tmpFd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(tmpFd, content);
+      fs.fsyncSync(tmpFd);
+    } finally {
+      fs.closeSync(tmpFd);
+    }
+    fs.renameSync(tmpPath, snapshotPath);
+
+    fs.ftruncateSync(fd, 0);
+    fs.fsyncSync(fd);
+    dirty = false;
+  };
+
+  const timer = setInterval(() => {
+    try {
+      snapshot();
+    } catch (err) {
+      console.error('Journal snapshot failed:', err.message);
+    }
+  }, snapshotInterval);
+  timer.unref();
+
+  return {
+    backend: 'journal',
+    get: (key) => entries.get(key),
+    set: (key, entry) => {
+      fs.writeSync(fd, JSON.stringify({ key, entry }) + '\n');
+      fs.fsyncSync(fd);
+      entries.set(key, entry);
+      dirty = true;
+    },
+    get size() { return entries.size; },
+    entries: () => entries.entries(),
+    sizeBytes: () => {
+      const snapshotSize = fs.existsSync(snapshotPath) ? fs.statSync(snapshotPath).size : 0;
+      return snapshotSize + fs.fstatSync(fd).size;
+    },
+    snapshot,
+    close: () => {
+      clearInterval(timer);
+      snapshot();
+      fs.closeSync(fd);
+    }
+  };
+}
+
+/**
+ * Apply journal records to a map, truncating a torn trailing record
+ * @param {string} journalPath
+ * @param {Map} entries
+ * @returns {number} Number of records applied
+ */
+function replayJournal(journalPath, entries) {
+  if (!fs.existsSync(journalPath)) return 0;
+
+  const content = fs.readFileSync(journalPath);
+  let offset = 0;
+  let applied = 0;
+
+  while (offset < content.length) {
+    const newline = content.indexOf(0x0a, offset);
+    if (newline === -1) break; // Partial record from an interrupted write
+
+    try {
+      const { key, entry } = JSON.parse(content.subarray(offset, newline).toString('utf8'));
+      entries.set(key, entry);
+      applied++;
+    } catch (err) {
+      break;
+    }
+    offset = newline + 1;
+  }
+
+  if (offset < content.length) {
+    console.log(`Journal store: discarding ${content.length - offset} bytes of incomplete journal data`);
+    fs.truncateSync(journalPath, offset);
+  }
+
+  return applied;
+}
+
+/**
+ * Embedded SQLite store (requires the optional better-sqlite3 dependency)
+ * @param {string} dir - Directory holding the database file
+ * @returns {Promise<object>}
+ */
+async function createSqliteStore(dir) {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch (err) {
+    throw new Error('STORE_BACKEND=sqlite requires better-sqlite3 (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const db = new Database(path.join(dir, SQLITE_FILENAME));
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+  db.exec('CREATE TABLE IF NOT EXISTS entries (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+
+  const selectStmt = db.prepare('SELECT value FROM entries WHERE key = ?');
+  const upsertStmt = db.prepare(
+    'INSERT INTO entries (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+  );
+  const countStmt = db.prepare('SELECT COUNT(*) AS count FROM entries');
+  const allStmt = db.prepare('SELECT key, value FROM entries');
+
+  console.log(`SQLite store: loaded ${countStmt.get().count} entries`);
+
+  return {
+    backend: 'sqlite',
+    get: (key) => {
+      const row = selectStmt.get(key);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+    set: (key, entry) => { upsertStmt.run(key, JSON.stringify(entry)); },
+    get size() { return countStmt.get().count; },
+    entries: function* () {
+      for (const row of allStmt.iterate()) {
+        yield [row.key, JSON.parse(row.value)];
+      }
+    },
+    sizeBytes: () => db.pragma('page_count', { simple: true }) * db.pragma('page_size', { simple: true }),
+    close: () => { db.close(); }
+  };
+}
@@ -4,6 +4,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import { Readable } from 'stream';
+import { manifestHash, verifyPage } from './crypto-utils.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '..', 'data', 'messages');
@@ -53,12 +54,32 @@ export function destroyClient(client) {
  * @returns {Promise<{ infohash: string, magnetURI: string }>}
  */
 export function seedJSON(client, data, filename) {
-  return new Promise((resolve, reject) => {
-    const content = JSON.stringify(data, null, 2);
+  // Save to local data directory for seeding
+  const filePath = saveJSON(data, filename);
+  return seedFile(client, filePath);
+}
 
-    // Save to local data directory for seeding
-    const filePath = path.join(DATA_DIR, filename);
-    fs.writeFileSync(filePath, content);
+/**
+ * Save a JSON object to the local data directory without seeding it
+ * @param {object} data
+ * @param {string} filename
+ * @returns {string} Path of the written file
+ */
+export function saveJSON(data, filename) {
+  const filePath = path.join(DATA_DIR, filename);
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  return filePath;
+}
+
+/**
+ * Seed a file that already exists on disk, e.g. a message written by an earlier run
+ * @param {WebTorrent} client
+ * @param {string} filePath - Path of the file to seed
+ * @returns {Promise<{ infohash: string, magnetURI: string }>}
+ */
+export function seedFile(client, filePath) {
+  return new Promise((resolve, reject) => {
+    const filename = path.basename(filePath);
 
     let resolved = false;
     const timeoutId = setTimeout(() => {
@@ -172,13 +193,88 @@ export function generateMessageFilename(publicKey, timestamp) {
   return `msg-${hash}.json`;
 }
 
+/**
+ * Identify a manifest message entry, whichever way its message is stored:
+ * a torrent (infohash), a BEP44 immutable item (dhtHash) or inline in the manifest (message)
+ * @param {{ infohash?: string, dhtHash?: string, message?: object }} entry
+ * @returns {string}
+ */
+export function messageEntryId(entry) {
+  if (entry.infohash) return entry.infohash;
+  if (entry.dhtHash) return `dht:${entry.dhtHash}`;
+  return `inline:${entry.message.signature}`;
+}
+
 /**
  * Generate a filename for a manifest
  * @param {string} publicKey
  * @param {number} seq
+ * @param {string} [channel] - Channel name, omitted for the default channel
  * @returns {string}
  */
-export function generateManifestFilename(publicKey, seq) {
+export function generateManifestFilename(publicKey, seq, channel = null) {
   const keyPrefix = publicKey.slice(0, 8);
+  if (channel) {
+    return `manifest-${keyPrefix}_${channel}-${seq}.json`;
+  }
   return `manifest-${keyPrefix}-${seq}.json`;
 }
+
+/**
+ * Generate filename for a sealed manifest page
+ * The page hash keeps pages sealed concurrently by two devices apart.
+ * @param {string} publicKey
+ * @param {number} index - Page index, 0 for the oldest page
+ * @param {string} hash - Hex hash of the signed page
+ * @param {string} [channel] - Channel name, omitted for the default channel
+ * @returns {string}
+ */
+export function generatePageFilename(publicKey, index, hash, channel = null) {
+  const keyPrefix = publicKey.slice(0, 8);
+  if (channel) {
+    return `page-${keyPrefix}_${channel}-${index}-${hash.slice(0, 8)}.json`;
+  }
+  return `page-${keyPrefix}-${index}-${hash.slice(0, 8)}.json`;
+}
+
+/**
+ * Load a sealed page of a feed (local copy first, then torrent) and check it against its pointer
+ * The signed manifest commits to the page hash and message count, the page signature to its signer.
+ * @param {WebTorrent} client
+ * @param {object} manifest - Verified manifest listing the page in `pages`
+ * @param {number} index - Page index, 0 for the oldest page
+ * @param {object} [options]
+ * @param {string} [options.channel] - Channel name, omitted for the default channel
+ * @param {object[]} [options.revocations] - Device revocations known for the publisher
+ * @param {number} [options.vouchedAt] - Time the manifest was received and verified, see verifyPage
+ * @returns {Promise<object>} The signed page
+ */
+export async function loadPage(client, manifest, index, { channel = null, revocations, vouchedAt } = {}) {
+  const pointer = manifest.pages[index];
+  const filePath = path.join(DATA_DIR, generatePageFilename(manifest.publicKey, index, pointer.hash, channel));
+
+  const page = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : await downloadJSON(client, pointer.infohash, 60000);
+
+  if (page.publicKey !== manifest.publicKey || page.page !== index || manifestHash(page) !== pointer.hash ||
+      !Array.isArray(page.messages) || page.messages.length !== pointer.count || !verifyPage(page, { revocations, vouchedAt })) {
+    throw new Error(`Page ${index} does not match the manifest`);
+  }
+  return page;
+}
+
+/**
+ * Get the seq of a manifest filename created by generateManifestFilename
+ * @param {string} filename
+ * @param {string} publicKey
+ * @param {string} [channel] - Channel name, omitted for the default channel
+ * @returns {number|null} Null if the file belongs to another key or channel
+ */
+export function parseManifestFilename(filename, publicKey, channel = null) {
+  const match = filename.match(/^manifest-([0-9a-fA-F]{8})(?:_([A-Za-z0-9_-]+))?-(\d+)\.json$/);
+  if (!match || match[1] !== publicKey.slice(0, 8) || (match[2] || null) !== channel) {
+    return null;
+  }
+  return parseInt(match[3]);
+}
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { signAnnounce, verifyMessage, verifyManifest, verifyPage } from './lib/crypto-utils.js';
+import { parseServerUrls, announceToServers } from './lib/signaling-client.js';
+import { createDHT, destroyDHT, putManifestPointer, getManifestPointer, putImmutable, MAX_ITEM_SIZE } from './lib/dht-store.js';
+import { createClient, destroyClient, seedFile, generateMessageFilename } from './lib/torrent-utils.js';
+import { isEncryptedMessage, verifyEncryptedMessage, isGroupMessage, verifyGroupMessage } from './lib/encryption.js';
+import { loadKeys } from './lib/keystore.js';
+import { DEFAULT_IDENTITY, resolveIdentity } from './lib/identity.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, 'data');
+const MESSAGES_DIR = path.join(DATA_DIR, 'messages');
+
+// Signaling server URLs, comma-separated (can be overridden via environment variable)
+const SERVER_URLS = parseServerUrls(process.env.SERVER_URL || 'http://localhost:3000');
+
+// How often seeding peer counts are printed
+const STATUS_INTERVAL = 60000;
+
+// Parse command line args
+const args = process.argv.slice(2);
+const intervalArg = args.find(arg => arg.startsWith('--interval='));
+// BEP44 items expire after about two hours, republish well before that
+const republishInterval = intervalArg ? parseInt(intervalArg.split('=')[1]) * 60 * 1000 : 30 * 60 * 1000;
+
+// Discovery mode: server, dht or both (can be overridden via --discovery= or DISCOVERY)
+const discoveryArg = args.find(arg => arg.startsWith('--discovery='));
+const DISCOVERY = discoveryArg ? discoveryArg.split('=')[1] : (process.env.DISCOVERY || 'server');
+const useServer = DISCOVERY !== 'dht';
+const useDHT = DISCOVERY !== 'server';
+
+if (args.includes('--help')) {
+  console.log('Usage: node republish.js [--interval=30] [--discovery=server] [--identity=name]');
+  console.log('');
+  console.log('Keeps the messages of an identity available: seeds every manifest and sealed');
+  console.log('manifest page it signed in data/messages and the messages they list as torrents,');
+  console.log('re-puts the ones stored as DHT items and periodically re-announces the latest manifest.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --interval=N     Republish interval in minutes (default: 30)');
+  console.log('  --discovery=MODE Where to republish: server, dht or both (default: server)');
+  console.log('  --identity=NAME  Identity to republish for (default: the default identity)');
+  console.log('');
+  console.log('Environment:');
+  console.log('  SERVER_URL       Signaling server URL(s), comma-separated (default: http://localhost:3000)');
+  console.log('  DISCOVERY        Default discovery mode');
+  console.log('  IDENTITY         Identity to use when --identity is not given');
+  process.exit(0);
+}
+
+if (!['server', 'dht', 'both'].includes(DISCOVERY)) {
+  console.error('Error: Invalid discovery mode. Use server, dht or both.');
+  process.exit(1);
+}
+
+// Identity to republish for (can be overridden via --identity= or IDENTITY)
+const identityArg = args.find(arg => arg.startsWith('--identity='));
+let identity;
+try {
+  identity = resolveIdentity(DATA_DIR, identityArg ? identityArg.split('=')[1] : null);
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+
+if (!Number.isInteger(republishInterval) || republishInterval <= 0) {
+  console.error('Error: Invalid --interval. Use a whole number of minutes.');
+  process.exit(1);
+}
+
+let client = null;
+let dht = null;
+let keys = null;
+
+// file path -> { infohash, kind } of everything seeded so far
+const seeded = new Map();
+
+// Load local index (channel key -> latest published pointer)
+function loadLocalIndex() {
+  if (fs.existsSync(identity.localIndexFile)) {
+    return JSON.parse(fs.readFileSync(identity.localIndexFile, 'utf8'));
+  }
+  return {};
+}
+
+// Latest pointer of each channel of the local identity
+function loadPointers() {
+  const pointers = [];
+  for (const [key, entry] of Object.entries(loadLocalIndex())) {
+    const [publicKey, channel] = key.split('/');
+    if (publicKey !== keys.publicKey) continue;
+    pointers.push({ channel: channel || null, manifestInfohash: entry.manifestInfohash, seq: entry.seq });
+  }
+  return pointers;
+}
+
+// Whether a file in data/messages is ours and correctly signed (it also holds downloads),
+// checked at the time it was written so files of a device key that expired since still count
+function isOwnFile(filePath, kind) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const writtenAt = Math.floor(fs.statSync(filePath).mtimeMs);
+    const valid = kind === 'manifest' ? verifyManifest(data, { now: writtenAt })
+      : kind === 'page' ? verifyPage(data, { vouchedAt: writtenAt })
+      : isEncryptedMessage(data) ? verifyEncryptedMessage(data)
+      : isGroupMessage(data) ? verifyGroupMessage(data) : verifyMessage(data, { vouchedAt: writtenAt });
+    return data.publicKey === keys.publicKey && valid;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Message filenames our manifests and pages reference as torrents and as DHT items.
+// Inline messages live in the manifest itself and are in neither set.
+function loadMessageReferences() {
+  const torrents = new Set();
+  const dhtItems = new Set();
+
+  for (const file of fs.readdirSync(MESSAGES_DIR)) {
+    const kind = file.startsWith('manifest-') ? 'manifest' : file.startsWith('page-') ? 'page' : null;
+    if (!kind || !isOwnFile(path.join(MESSAGES_DIR, file), kind)) continue;
+
+    const { messages } = JSON.parse(fs.readFileSync(path.join(MESSAGES_DIR, file), 'utf8'));
+    for (const entry of messages || []) {
+      const filename = generateMessageFilename(keys.publicKey, entry.timestamp);
+      if (entry.infohash) torrents.add(filename);
+      else if (entry.dhtHash) dhtItems.add(filename);
+    }
+  }
+
+  return { torrents, dhtItems };
+}
+
+// Seed every manifest and page of the local identity, and every message they reference
+// as a torrent, that is not seeded yet
+async function seedLocalFiles() {
+  if (!fs.existsSync(MESSAGES_DIR)) return 0;
+
+  const { torrents } = loadMessageReferences();
+  let added = 0;
+  for (const file of fs.readdirSync(MESSAGES_DIR)) {
+    const filePath = path.join(MESSAGES_DIR, file);
+    if (seeded.has(filePath)) continue;
+
+    const kind = file.startsWith('msg-') ? 'message'
+      : file.startsWith('manifest-') ? 'manifest'
+      : file.startsWith('page-') ? 'page' : null;
+    if (!kind) continue;
+    // Small messages are DHT items or inline, nothing looks them up as torrents
+    if (kind === 'message' && !torrents.has(file)) continue;
+    if (!isOwnFile(filePath, kind)) continue;
+
+    try {
+      const { infohash } = await seedFile(client, filePath);
+      seeded.set(filePath, { infohash, kind });
+      added++;
+    } catch (err) {
+      console.error(`Failed to seed ${file}:`, err.message);
+    }
+  }
+
+  return added;
+}
+
+// Re-announce one channel's pointer to the signaling servers
+async function reannounce(pointer, label) {
+  const privateKey = Buffer.from(keys.privateKey, 'hex');
+  const announce = signAnnounce(keys.publicKey, pointer.manifestInfohash, pointer.seq, privateKey, pointer.channel, keys.delegation);
+  const { accepted, failed } = await announceToServers(SERVER_URLS, announce);
+
+  let current = accepted.length;
+  for (const { serverUrl, error } of failed) {
+    const currentSeq = error.body?.currentSeq;
+    if (error.statusCode === 409 && currentSeq === pointer.seq) {
+      current++;
+    } else if (error.statusCode === 409 && currentSeq > pointer.seq) {
+      console.log(`Warning: ${serverUrl} has a newer seq ${currentSeq} for ${label}, published from another device`);
+    } else {
+      console.log(`Warning: Could not announce ${label} to ${serverUrl}:`, error.message);
+    }
+  }
+
+  console.log(`Server: ${label} (seq ${pointer.seq}) current on ${current}/${SERVER_URLS.length} server(s)`);
+}
+
+// Re-put one channel's pointer into the DHT before it expires
+async function reput(pointer, label) {
+  const publicKey = Buffer.from(keys.publicKey, 'hex');
+  const privateKey = Buffer.from(keys.privateKey, 'hex');
+
+  try {
+    await putManifestPointer(dht, publicKey, privateKey, pointer.manifestInfohash, pointer.seq, pointer.channel);
+    console.log(`DHT: ${label} (seq ${pointer.seq}) republished`);
+  } catch (err) {
+    if (err.code !== 302) {
+      console.log(`Warning: Could not republish ${label} to DHT:`, err.message);
+      return;
+    }
+
+    // Every node we reached already holds this seq or a higher one
+    const stored = await getManifestPointer(dht, publicKey, 30000, pointer.channel);
+    if (stored && stored.seq > pointer.seq) {
+      console.log(`Warning: DHT has a newer seq ${stored.seq} for ${label}, published from another device`);
+    } else {
+      console.log(`DHT: ${label} (seq ${pointer.seq}) still stored`);
+    }
+  }
+}
+
+// Re-put the messages our manifests store as BEP44 immutable items (same content, same hash)
+async function reputMessages() {
+  if (!fs.existsSync(MESSAGES_DIR)) return;
+
+  const { dhtItems } = loadMessageReferences();
+  let count = 0;
+  for (const file of dhtItems) {
+    const filePath = path.join(MESSAGES_DIR, file);
+    if (!fs.existsSync(filePath) || !isOwnFile(filePath, 'message')) continue;
+
+    const value = JSON.stringify(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    if (Buffer.byteLength(value) >= MAX_ITEM_SIZE) continue;
+
+    try {
+      await putImmutable(dht, value);
+      count++;
+    } catch (err) {
+      console.log(`Warning: Could not republish ${file} to DHT:`, err.message);
+    }
+  }
+
+  if (count > 0) {
+    console.log(`DHT: ${count} message item(s) republished`);
+  }
+}
+
+async function republish() {
+  console.log('');
+  console.log('[' + new Date().toISOString() + '] Republishing...');
+
+  const added = await seedLocalFiles();
+  if (added > 0) {
+    console.log(`Seeding ${added} new file(s)`);
+  }
+
+  if (useDHT) await reputMessages();
+
+  const pointers = loadPointers();
+  if (pointers.length === 0) {
+    console.log('Nothing published yet, run share-message.js first');
+    return;
+  }
+
+  for (const pointer of pointers) {
+    const label = pointer.channel ? `channel ${pointer.channel}` : 'default channel';
+    if (useServer) await reannounce(pointer, label);
+    // The BEP44 pointer can only be signed by the master key
+    if (useDHT && !keys.delegation) await reput(pointer, label);
+  }
+}
+
+// Print how many peers each seeded torrent has
+function reportPeers() {
+  const byInfohash = new Map(client.torrents.map(torrent => [torrent.infoHash, torrent]));
+  let peers = 0;
+  let messages = 0;
+  let manifests = 0;
+  let pages = 0;
+
+  for (const { infohash, kind } of seeded.values()) {
+    const torrent = byInfohash.get(infohash);
+    peers += torrent ? torrent.numPeers : 0;
+    if (kind === 'message') messages++;
+    else if (kind === 'page') pages++;
+    else manifests++;
+  }
+
+  console.log('[' + new Date().toISOString() + `] Seeding ${messages} message(s), ${manifests} manifest(s) and ${pages} page(s), ${peers} peer connection(s)`);
+
+  for (const pointer of loadPointers()) {
+    const torrent = byInfohash.get(pointer.manifestInfohash);
+    const label = pointer.channel ? `channel ${pointer.channel}` : 'default channel';
+    console.log(`  ${label}: seq ${pointer.seq}, ${torrent ? torrent.numPeers : 0} peer(s) on the latest manifest`);
+  }
+}
+
+async function main() {
+  if (!fs.existsSync(identity.keysFile)) {
+    console.error(`Error: No keys found for ${identity.label}. Run generate-keys.js first.`);
+    process.exit(1);
+  }
+
+  try {
+    keys = await loadKeys(identity.keysFile, identity.label);
+  } catch (err) {
+    console.error(`Error: Could not unlock ${identity.label}:`, err.message);
+    process.exit(1);
+  }
+
+  if (keys.deviceKey && !keys.delegation) {
+    console.error(`Error: ${identity.label} is a device key without a delegation. Run generate-keys.js accept-delegation first.`);
+    process.exit(1);
+  }
+
+  if (identity.name !== DEFAULT_IDENTITY) console.log('Identity:', identity.name);
+  console.log('Republishing for public key:', keys.publicKey);
+  if (keys.delegation) {
+    console.log('Signing with device key:', keys.deviceKey);
+    if (useDHT) console.log('Note: Only the master key can update DHT pointers, re-putting message items only');
+  }
+  console.log('Discovery:', DISCOVERY);
+  if (useServer) console.log('Server:', SERVER_URLS.join(', '));
+  console.log('Interval:', republishInterval / 60000, 'minute(s)');
+  console.log('');
+
+  try {
+    const dhtReady = useDHT ? createDHT() : null;
+
+    console.log('Starting WebTorrent client...');
+    client = createClient();
+    console.log('WebTorrent ready');
+
+    const added = await seedLocalFiles();
+    console.log(`Seeding ${added} existing file(s) from data/messages`);
+
+    if (useDHT) {
+      dht = await dhtReady;
+    }
+
+    await republish();
+    reportPeers();
+
+    // Run one cycle at a time, a slow DHT put must not overlap the next one
+    const loop = async () => {
+      try {
+        await republish();
+      } catch (err) {
+        console.error('Error during republish:', err.message);
+      }
+      setTimeout(loop, republishInterval);
+    };
+    setTimeout(loop, republishInterval);
+    setInterval(reportPeers, STATUS_INTERVAL);
+
+    console.log('');
+    console.log('Republish daemon running. Press Ctrl+C to stop');
+  } catch (err) {
+    console.error('Error:', err.message);
+    if (client) await destroyClient(client);
+    if (dht) await destroyDHT(dht);
+    process.exit(1);
+  }
+}
+
+// Handle Ctrl+C
+const shutdown = async () => {
+  console.log('');
+  console.log('Shutting down...');
+  if (client) await destroyClient(client);
+  if (dht) await destroyDHT(dht);
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+main();
@@ -1,15 +1,97 @@
 #!/usr/bin/env node
 
 import http from 'http';
+import https from 'https';
+import fs from 'fs';
 import crypto from 'crypto';
 import { URL } from 'url';
+import { createStore } from './lib/store.js';
+import {
+  parseServerUrls,
+  requestJSON,
+  announceToServers,
+  publishSuccessionToServers,
+  publishDeviceRevocationToServers,
+  isValidChannel,
+  channelKey
+} from './lib/signaling-client.js';
+import { createRateLimiter } from './lib/rate-limit.js';
+import { createRegistry } from './lib/metrics.js';
+import { verifyProofOfWork, verifySuccession, verifyDeviceRevocation, resolveSigner, signingData, SIGNING_VERSION } from './lib/crypto-utils.js';
 
-// In-memory SQLite-like storage using Map (for simplicity)
-// For production we should use better-sqlite3 with :memory:
-const db = new Map();
+// Phone book storage, backend selected via STORE_BACKEND (memory, journal, sqlite)
+const db = await createStore();
+
+// Succession statements and device revocations apply to every channel of a key and are
+// stored once per key, under this prefix (it can never parse as a phone book key)
+const KEY_STATE_PREFIX = 'key:';
+
+// Public keys with an entry on any channel; a new channel of a known key is not a new identity
+const knownKeys = new Set();
+let keyStateCount = 0;
+for (const [key] of db.entries()) {
+  const parsed = parseEntryKey(key);
+  if (parsed) knownKeys.add(parsed.publicKey);
+  else if (key.startsWith(KEY_STATE_PREFIX)) keyStateCount++;
+}
 
 const PORT = process.env.PORT || 3000;
 
+// HTTPS is enabled when both a certificate and a key are given
+const TLS_CERT = process.env.TLS_CERT;
+const TLS_KEY = process.env.TLS_KEY;
+const TLS_ENABLED = Boolean(TLS_CERT && TLS_KEY);
+
+if (Boolean(TLS_CERT) !== Boolean(TLS_KEY)) {
+  console.error('Error: TLS_CERT and TLS_KEY must be set together');
+  process.exit(1);
+}
+
+// Active push subscriptions: publicKey -> Set of open SSE responses
+const subscribers = new Map();
+const MAX_KEYS_PER_REQUEST = 1000;
+const HEARTBEAT_INTERVAL = 25000;
+
+// Number of signed announces kept per public key for /history
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT) || 50;
+
+// Abuse protection for /announce (limits of 0 disable a check)
+const MAX_BODY_SIZE = parseInt(process.env.MAX_BODY_SIZE) || 128 * 1024;
+const POW_DIFFICULTY = parseInt(process.env.POW_DIFFICULTY) || 0;
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const ipLimiter = createRateLimiter({ limit: parseInt(process.env.RATE_LIMIT_IP ?? 60), windowMs: 60 * 1000 });
+const keyLimiter = createRateLimiter({ limit: parseInt(process.env.RATE_LIMIT_KEY ?? 10), windowMs: 60 * 1000 });
+const newKeyLimiter = createRateLimiter({ limit: parseInt(process.env.RATE_LIMIT_NEW_KEYS ?? 20), windowMs: 60 * 60 * 1000 });
+
+// Federation: peer servers replicate signed announces to each other
+const PEER_SERVERS = parseServerUrls(process.env.PEER_SERVERS || '');
+// Shared by federated servers; pushes carrying it are trusted like entries pulled during sync
+const PEER_SECRET = process.env.PEER_SECRET || null;
+const SYNC_INTERVAL = parseInt(process.env.SYNC_INTERVAL) || 30000;
+const SYNC_BATCH_SIZE = 500;
+
+// Local change counter, stamped on each accepted entry so peers can pull changes since a cursor
+let lastChangeId = 0;
+for (const [, entry] of db.entries()) {
+  lastChangeId = Math.max(lastChangeId, entry.changeId || 0);
+}
+
+// Per-peer sync state (in memory, a restart re-syncs from the beginning)
+const peerState = new Map(PEER_SERVERS.map(peerUrl => [peerUrl, { cursor: 0, syncing: false, lastSyncAt: null, lastError: null }]));
+
+// Prometheus metrics served on /metrics
+const metrics = createRegistry();
+const requestsTotal = metrics.counter('signaling_http_requests_total', 'HTTP requests by route, method and status code');
+const requestDuration = metrics.histogram('signaling_http_request_duration_seconds', 'HTTP request latency by route, method and status code (excludes streams)');
+const announcesAccepted = metrics.counter('signaling_announces_accepted_total', 'Announces stored, by source');
+const announceRejections = metrics.counter('signaling_announce_rejections_total', 'Announces rejected on /announce, by reason');
+const peerSyncFailures = metrics.counter('signaling_peer_sync_failures_total', 'Failed pulls from peer servers');
+metrics.gauge('signaling_active_subscriptions', 'Open push subscription streams', () => countSubscriptions());
+metrics.gauge('signaling_subscribed_keys', 'Public keys with at least one subscriber', () => subscribers.size);
+metrics.gauge('signaling_store_entries', 'Entries in the phone book', () => entryCount());
+metrics.gauge('signaling_store_size_bytes', 'On-disk size of the phone book storage', () => db.sizeBytes());
+metrics.gauge('signaling_process_heap_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+
 /**
  * Verify ed25519 signature
  */
@@ -34,78 +116,623 @@ function verifySignature(publicKeyHex, data, signatureHex) {
 }
 
 /**
- * Handle announce request (publisher registers/updates their manifest)
+ * Split a phone book key ("publicKey" or "publicKey/channel")
+ * @returns {{ publicKey: string, channel: string|null }|null} Null if the key is malformed
  */
-function handleAnnounce(body, res) {
-  try {
-    const { publicKey, manifestInfohash, seq, signature } = JSON.parse(body);
+function parseEntryKey(key) {
+  if (typeof key !== 'string') return null;
 
-    // Validate required fields
-    if (!publicKey || !manifestInfohash || seq === undefined || !signature) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Missing required fields' }));
-      return;
+  const [publicKey, channel, ...rest] = key.split('/');
+  if (rest.length > 0 || !/^[0-9a-fA-F]{64}$/.test(publicKey)) return null;
+  if (channel !== undefined && !isValidChannel(channel)) return null;
+
+  return { publicKey, channel: channel || null };
+}
+
+/**
+ * Number of phone book entries, per-key state records left out
+ */
+function entryCount() {
+  return db.size - keyStateCount;
+}
+
+/**
+ * Succession statement and device revocations of a public key
+ * @returns {{ succession: object|null, revokedDevices: object[] }}
+ */
+function getKeyState(publicKey) {
+  const state = db.get(KEY_STATE_PREFIX + publicKey);
+  return { succession: state?.succession || null, revokedDevices: state?.revokedDevices || [] };
+}
+
+/**
+ * Store the state of a public key and push it to the subscribers of all its channels
+ */
+function setKeyState(publicKey, state) {
+  const key = KEY_STATE_PREFIX + publicKey;
+  if (!db.get(key)) keyStateCount++;
+  db.set(key, { ...state, changeId: ++lastChangeId });
+
+  for (const subscribed of subscribers.keys()) {
+    if ((subscribed === publicKey || subscribed.startsWith(`${publicKey}/`)) && db.get(subscribed)) {
+      publishAnnounce(subscribed, db.get(subscribed));
     }
+  }
+}
+
+/**
+ * Public representation of a phone book entry
+ * Includes the publisher's announce signature so clients need not trust the server
+ * Every channel entry carries the succession statement and device revocations of its public key
+ */
+function formatEntry(key, entry) {
+  const { publicKey, channel } = parseEntryKey(key);
+  const { succession, revokedDevices } = getKeyState(publicKey);
+
+  return {
+    ...(entry.v !== undefined && { v: entry.v }),
+    publicKey,
+    ...(channel && { channel }),
+    manifestInfohash: entry.manifestInfohash,
+    seq: entry.seq,
+    ...(entry.delegation && { delegation: entry.delegation }),
+    signature: entry.signature,
+    updatedAt: entry.updatedAt,
+    ...(succession && { succession }),
+    ...(revokedDevices.length > 0 && { revokedDevices })
+  };
+}
+
+/**
+ * Write a single Server-Sent Event
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\nid: ${data.seq}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Push an accepted announce to everyone subscribed to the key
+ */
+function publishAnnounce(key, entry) {
+  const listeners = subscribers.get(key);
+  if (!listeners) return;
+
+  const data = formatEntry(key, entry);
+  for (const res of listeners) {
+    writeEvent(res, 'announce', data);
+  }
+}
+
+/**
+ * Client address, taken from X-Forwarded-For when running behind a trusted proxy
+ */
+function clientIp(req) {
+  if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Whether a request comes from a peer server, i.e. carries the shared PEER_SECRET
+ */
+function isPeerRequest(req) {
+  const given = req.headers['x-peer-secret'];
+  if (!PEER_SECRET || typeof given !== 'string') return false;
 
-    // Validate formats
-    if (!/^[0-9a-fA-F]{64}$/.test(publicKey)) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid public key format' }));
+  // Compare digests, timingSafeEqual needs inputs of equal length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(PEER_SECRET));
+}
+
+/**
+ * Read a request body up to MAX_BODY_SIZE, answering 413 and dropping the connection beyond that
+ */
+function readBody(req, res, onBody, onTooLarge) {
+  const tooLarge = () => {
+    if (onTooLarge) onTooLarge();
+    res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+    res.end(JSON.stringify({ error: `Request body too large (max ${MAX_BODY_SIZE} bytes)` }), () => req.destroy());
+  };
+
+  if (parseInt(req.headers['content-length']) > MAX_BODY_SIZE) {
+    tooLarge();
+    return;
+  }
+
+  let body = '';
+  let size = 0;
+  let aborted = false;
+
+  req.on('data', chunk => {
+    if (aborted) return;
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      aborted = true;
+      tooLarge();
       return;
     }
+    body += chunk;
+  });
+  req.on('end', () => {
+    if (!aborted) onBody(body);
+  });
+}
 
-    if (!/^[0-9a-fA-F]{40}$/.test(manifestInfohash)) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid infohash format' }));
-      return;
+/**
+ * Validate, verify and store a signed announce (from a publisher or a peer server)
+ * The optional guard runs after the signature and seq checks, just before storing,
+ * and can reject the announce by returning a { status, body } result. It is called with
+ * the public key and whether the key is new to this server (no entry on any channel)
+ * An expectedSeq (0 for a new key) makes the update conditional on the stored seq,
+ * so two devices publishing with the same key cannot silently overwrite each other
+ * A device delegation is checked at acceptedAt: now for a publisher, and for an entry from a
+ * peer the time the first server accepted it (see peerAcceptedAt), which is also stored
+ * @returns {{ status: number, body: object }}
+ */
+function acceptAnnounce({ v, publicKey, channel, manifestInfohash, seq, delegation, signature, expectedSeq }, guard, acceptedAt = Date.now()) {
+  // Validate required fields
+  if (!publicKey || !manifestInfohash || seq === undefined || !signature) {
+    return { status: 400, body: { error: 'Missing required fields' }, reason: 'bad_format' };
+  }
+
+  // Validate formats
+  if (!/^[0-9a-fA-F]{64}$/.test(publicKey)) {
+    return { status: 400, body: { error: 'Invalid public key format' }, reason: 'bad_format' };
+  }
+
+  if (!/^[0-9a-fA-F]{40}$/.test(manifestInfohash)) {
+    return { status: 400, body: { error: 'Invalid infohash format' }, reason: 'bad_format' };
+  }
+
+  if (!Number.isInteger(seq) || seq < 0) {
+    return { status: 400, body: { error: 'Invalid sequence number' }, reason: 'bad_format' };
+  }
+
+  if (channel !== undefined && channel !== null && !isValidChannel(channel)) {
+    return { status: 400, body: { error: 'Invalid channel name' }, reason: 'bad_format' };
+  }
+
+  if (expectedSeq !== undefined && (!Number.isInteger(expectedSeq) || expectedSeq < 0)) {
+    return { status: 400, body: { error: 'Invalid expected sequence number' }, reason: 'bad_format' };
+  }
+
+  // Announces without a version use the legacy signing format
+  if (v !== undefined && v !== SIGNING_VERSION) {
+    return { status: 400, body: { error: 'Unsupported signing version' }, reason: 'bad_format' };
+  }
+
+  // A device key announces with the delegation certificate of its master key
+  const { succession, revokedDevices } = getKeyState(publicKey);
+  const signer = resolveSigner({ v, publicKey, delegation }, 'announce', acceptedAt, revokedDevices);
+  if (!signer) {
+    return { status: 403, body: { error: 'Invalid, expired or revoked delegation' }, reason: 'bad_delegation' };
+  }
+
+  // Verify signature (a named channel is part of the signed data)
+  const signedFields = channel
+    ? { publicKey, channel, manifestInfohash, seq }
+    : { publicKey, manifestInfohash, seq };
+  if (!verifySignature(signer, signingData('announce', signedFields, v), signature)) {
+    return { status: 403, body: { error: 'Invalid signature' }, reason: 'bad_signature' };
+  }
+
+  // Check sequence number (must be higher than existing, each channel has its own seq)
+  const key = channelKey(publicKey, channel);
+  const existing = db.get(key);
+  if (existing && existing.seq >= seq) {
+    return { status: 409, body: { error: 'Sequence number must be higher than current', currentSeq: existing.seq, currentInfohash: existing.manifestInfohash }, reason: 'stale_seq' };
+  }
+
+  const currentSeq = existing ? existing.seq : 0;
+  if (expectedSeq !== undefined && expectedSeq !== currentSeq) {
+    return { status: 409, body: { error: 'Entry was updated since expectedSeq', currentSeq, currentInfohash: existing?.manifestInfohash ?? null }, reason: 'seq_conflict' };
+  }
+
+  // A rotated or revoked key cannot publish anymore on any channel, even with a valid signature
+  if (succession) {
+    return { status: 410, body: { error: 'Public key has been rotated or revoked', succession }, reason: 'revoked' };
+  }
+
+  const rejection = guard && guard(publicKey, !knownKeys.has(publicKey));
+  if (rejection) {
+    return rejection;
+  }
+
+  // Store the entry, keeping the signed announce in the bounded history
+  const announce = {
+    ...(v !== undefined && { v }),
+    manifestInfohash,
+    seq,
+    ...(delegation && { delegation }),
+    signature,
+    updatedAt: acceptedAt
+  };
+  const history = [...(existing?.history || []), announce].slice(-HISTORY_LIMIT);
+  const entry = { ...announce, history, changeId: ++lastChangeId };
+  db.set(key, entry);
+  knownKeys.add(publicKey);
+  publishAnnounce(key, entry);
+
+  return { status: 200, body: { success: true, seq } };
+}
+
+/**
+ * Time a peer server says an entry was first accepted, from its updatedAt
+ * A device key that expired or was revoked after that still vouches for the entry, but
+ * the time is capped at now so a peer cannot date an entry into the future
+ */
+function peerAcceptedAt(updatedAt) {
+  return Number.isInteger(updatedAt) ? Math.min(updatedAt, Date.now()) : Date.now();
+}
+
+/**
+ * Handle announce request (publisher registers/updates their manifest)
+ * Announces pushed by a peer server skip the abuse checks, like entries pulled during sync
+ */
+function handleAnnounce(body, req, res) {
+  const ip = clientIp(req);
+  const fromPeer = isPeerRequest(req);
+
+  const ipLimit = fromPeer ? { allowed: true } : ipLimiter.take(ip);
+  if (!ipLimit.allowed) {
+    announceRejections.inc({ reason: 'rate_limited' });
+    res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': ipLimit.retryAfter });
+    res.end(JSON.stringify({ error: 'Too many announces from this address', retryAfter: ipLimit.retryAfter }));
+    return;
+  }
+
+  let announce;
+  try {
+    announce = JSON.parse(body);
+  } catch (err) {
+    announceRejections.inc({ reason: 'bad_format' });
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    return;
+  }
+
+  // Per-key and first-time checks only count announces with a valid signature,
+  // so nobody can use up another publisher's budget
+  const guard = (publicKey, isNewKey) => {
+    if (isNewKey && POW_DIFFICULTY > 0 && !verifyProofOfWork(publicKey, announce.pow, POW_DIFFICULTY)) {
+      return { status: 428, body: { error: 'Proof of work required for new public keys', powDifficulty: POW_DIFFICULTY }, reason: 'pow_required' };
     }
 
-    // Verify signature
-    const dataToVerify = JSON.stringify({ publicKey, manifestInfohash, seq });
-    if (!verifySignature(publicKey, dataToVerify, signature)) {
-      res.writeHead(403, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid signature' }));
-      return;
+    const keyLimit = keyLimiter.take(publicKey);
+    if (!keyLimit.allowed) {
+      return { status: 429, body: { error: 'Too many announces for this public key', retryAfter: keyLimit.retryAfter }, reason: 'rate_limited' };
     }
 
-    // Check sequence number (must be higher than existing)
-    const existing = db.get(publicKey);
-    if (existing && existing.seq >= seq) {
-      res.writeHead(409, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Sequence number must be higher than current', currentSeq: existing.seq }));
-      return;
+    if (isNewKey) {
+      const newKeyLimit = newKeyLimiter.take(ip);
+      if (!newKeyLimit.allowed) {
+        return { status: 429, body: { error: 'Too many new public keys from this address', retryAfter: newKeyLimit.retryAfter }, reason: 'rate_limited' };
+      }
     }
 
-    // Store the entry
-    db.set(publicKey, {
-      manifestInfohash,
-      seq,
-      updatedAt: Date.now()
-    });
+    return null;
+  };
 
-    console.log(`[${new Date().toISOString()}] Announce: ${publicKey.slice(0, 16)}... -> ${manifestInfohash} (seq: ${seq})`);
+  const acceptedAt = fromPeer ? peerAcceptedAt(announce?.updatedAt) : Date.now();
+  const { status, body: result, reason } = acceptAnnounce(announce || {}, fromPeer ? null : guard, acceptedAt);
 
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: true, seq }));
+  if (reason) {
+    announceRejections.inc({ reason });
+  }
+
+  if (status === 200) {
+    announcesAccepted.inc({ source: fromPeer ? 'peer' : 'publisher' });
+    const { publicKey, channel, manifestInfohash, seq } = announce;
+    const target = channel ? `${publicKey.slice(0, 16)}.../${channel}` : `${publicKey.slice(0, 16)}...`;
+    console.log(`[${new Date().toISOString()}] Announce: ${target} -> ${manifestInfohash} (seq: ${seq})`);
+    forwardToPeers({ ...announce, updatedAt: acceptedAt });
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (status === 429) {
+    headers['Retry-After'] = result.retryAfter;
+  }
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(result));
+}
+
+/**
+ * Validate, verify and store a succession statement (key rotation or revocation)
+ * A revocation is final, but it may replace a rotation, which could have been
+ * published by whoever leaked the key
+ * @returns {{ status: number, body: object }}
+ */
+function acceptSuccession(succession) {
+  const { publicKey, newPublicKey } = succession || {};
+
+  if (typeof publicKey !== 'string' || !/^[0-9a-fA-F]{64}$/.test(publicKey)) {
+    return { status: 400, body: { error: 'Invalid public key format' } };
+  }
+
+  if (newPublicKey === publicKey) {
+    return { status: 400, body: { error: 'A key cannot succeed itself' } };
+  }
+
+  if (!verifySuccession(succession)) {
+    return { status: 403, body: { error: 'Invalid signature' } };
+  }
+
+  // Only keys that announced on some channel, so the phone book cannot be filled with statements
+  if (!knownKeys.has(publicKey)) {
+    return { status: 404, body: { error: 'Unknown public key' } };
+  }
 
+  const state = getKeyState(publicKey);
+  const current = state.succession;
+  if (current) {
+    const replacesRotation = current.newPublicKey !== null && newPublicKey === null;
+    const earlierRevocation = current.newPublicKey === null && newPublicKey === null &&
+      succession.effectiveAt < current.effectiveAt;
+    if (!replacesRotation && !earlierRevocation) {
+      return { status: 409, body: { error: 'Public key already has a succession statement', succession: current } };
+    }
+  }
+
+  const { v, effectiveAt, createdAt, signature } = succession;
+  setKeyState(publicKey, {
+    ...state,
+    succession: { ...(v !== undefined && { v }), publicKey, newPublicKey, effectiveAt, createdAt, signature }
+  });
+
+  return { status: 200, body: { success: true } };
+}
+
+/**
+ * Validate, verify and store a device revocation
+ * Announces signed by the device key are refused from then on; an earlier
+ * effective time may replace a later one
+ * @returns {{ status: number, body: object }}
+ */
+function acceptDeviceRevocation(revocation) {
+  const { publicKey, deviceKey } = revocation || {};
+
+  if (typeof publicKey !== 'string' || !/^[0-9a-fA-F]{64}$/.test(publicKey)) {
+    return { status: 400, body: { error: 'Invalid public key format' } };
+  }
+
+  if (!verifyDeviceRevocation(revocation)) {
+    return { status: 403, body: { error: 'Invalid signature' } };
+  }
+
+  if (!knownKeys.has(publicKey)) {
+    return { status: 404, body: { error: 'Unknown public key' } };
+  }
+
+  const state = getKeyState(publicKey);
+  const revokedDevices = state.revokedDevices;
+  const current = revokedDevices.find(revoked => revoked.deviceKey === deviceKey);
+  if (current && current.effectiveAt <= revocation.effectiveAt) {
+    return { status: 409, body: { error: 'Device key is already revoked', revocation: current } };
+  }
+
+  const { v, effectiveAt, createdAt, signature } = revocation;
+  setKeyState(publicKey, {
+    ...state,
+    revokedDevices: [
+      ...revokedDevices.filter(revoked => revoked.deviceKey !== deviceKey),
+      { v, publicKey, deviceKey, effectiveAt, createdAt, signature }
+    ]
+  });
+
+  return { status: 200, body: { success: true } };
+}
+
+/**
+ * Handle device revocation request (publisher withdraws a device key's delegation)
+ */
+function handleDeviceRevocation(body, res) {
+  let revocation;
+  try {
+    revocation = JSON.parse(body);
   } catch (err) {
     res.writeHead(400, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    return;
+  }
+
+  const { status, body: result } = acceptDeviceRevocation(revocation);
+
+  if (status === 200) {
+    const { publicKey, deviceKey } = revocation;
+    console.log(`[${new Date().toISOString()}] Device revoked: ${publicKey.slice(0, 16)}... device ${deviceKey.slice(0, 16)}...`);
+    forwardDeviceRevocationToPeers(revocation);
+  }
+
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(result));
+}
+
+/**
+ * Handle succession request (publisher rotates or revokes their key)
+ */
+function handleSuccession(body, res) {
+  let succession;
+  try {
+    succession = JSON.parse(body);
+  } catch (err) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    return;
+  }
+
+  const { status, body: result } = acceptSuccession(succession);
+
+  if (status === 200) {
+    const { publicKey, newPublicKey } = succession;
+    const action = newPublicKey ? `rotated to ${newPublicKey.slice(0, 16)}...` : 'revoked';
+    console.log(`[${new Date().toISOString()}] Succession: ${publicKey.slice(0, 16)}... ${action}`);
+    forwardSuccessionToPeers(succession);
+  }
+
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(result));
+}
+
+/**
+ * Gossip a freshly accepted succession statement to peer servers
+ */
+function forwardSuccessionToPeers(succession) {
+  if (PEER_SERVERS.length === 0) return;
+
+  publishSuccessionToServers(PEER_SERVERS, succession).then(({ failed }) => {
+    for (const { serverUrl, error } of failed) {
+      if (error.statusCode !== 409) {
+        console.log(`[${new Date().toISOString()}] Forward succession to ${serverUrl} failed: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Gossip a freshly accepted device revocation to peer servers
+ */
+function forwardDeviceRevocationToPeers(revocation) {
+  if (PEER_SERVERS.length === 0) return;
+
+  publishDeviceRevocationToServers(PEER_SERVERS, revocation).then(({ failed }) => {
+    for (const { serverUrl, error } of failed) {
+      if (error.statusCode !== 409) {
+        console.log(`[${new Date().toISOString()}] Forward device revocation to ${serverUrl} failed: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Gossip a freshly accepted announce to peer servers
+ * Peers that already have it answer 409, which ends the propagation. updatedAt is the time
+ * the first server accepted it, peers check a device delegation at that time
+ */
+function forwardToPeers({ v, publicKey, channel, manifestInfohash, seq, delegation, signature, pow, updatedAt }) {
+  if (PEER_SERVERS.length === 0) return;
+
+  const headers = PEER_SECRET ? { 'X-Peer-Secret': PEER_SECRET } : {};
+  announceToServers(PEER_SERVERS, { v, publicKey, channel, manifestInfohash, seq, delegation, signature, pow, updatedAt }, headers).then(({ failed }) => {
+    for (const { serverUrl, error } of failed) {
+      if (error.statusCode !== 409) {
+        console.log(`[${new Date().toISOString()}] Forward to ${serverUrl} failed: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Pull entries changed since the last cursor from a peer server
+ */
+async function syncFromPeer(peerUrl) {
+  const state = peerState.get(peerUrl);
+  if (state.syncing) return;
+  state.syncing = true;
+
+  let accepted = 0;
+  try {
+    let more = true;
+    while (more) {
+      const { statusCode, body } = await requestJSON(peerUrl, 'GET', `/sync?since=${state.cursor}&limit=${SYNC_BATCH_SIZE}`);
+      if (statusCode !== 200) {
+        throw new Error(`Sync failed with status ${statusCode}`);
+      }
+
+      // Peer lost its change counter (e.g. restarted with memory storage), start over
+      if (body.lastChangeId < state.cursor) {
+        state.cursor = 0;
+        continue;
+      }
+
+      for (const entry of body.entries) {
+        // Device revocations first, so the announce is checked against them
+        for (const revocation of entry.revokedDevices || []) {
+          if (acceptDeviceRevocation(revocation).status === 200) {
+            accepted++;
+          }
+        }
+
+        // Only entries whose signature verifies and whose seq is higher are taken, a device
+        // delegation is checked at the time the peer accepted the entry, not now
+        // (per-key state records carry no announce, only their statements)
+        const { status } = entry.manifestInfohash ? acceptAnnounce(entry, null, peerAcceptedAt(entry.updatedAt)) : {};
+        if (status === 200) {
+          accepted++;
+          announcesAccepted.inc({ source: 'peer' });
+        }
+
+        // After the announce, a rotated or revoked key takes no new announces
+        if (entry.succession && acceptSuccession(entry.succession).status === 200) {
+          accepted++;
+        }
+      }
+
+      state.cursor = body.cursor;
+      more = body.more && body.entries.length > 0;
+    }
+
+    state.lastSyncAt = Date.now();
+    state.lastError = null;
+    if (accepted > 0) {
+      console.log(`[${new Date().toISOString()}] Sync: ${accepted} entries from ${peerUrl}`);
+    }
+  } catch (err) {
+    peerSyncFailures.inc({ peer: peerUrl });
+    state.lastError = err.message;
+    console.log(`[${new Date().toISOString()}] Sync from ${peerUrl} failed: ${err.message}`);
+  } finally {
+    state.syncing = false;
   }
 }
 
 /**
- * Handle lookup request (subscriber queries by public key)
+ * Handle lookup request (subscriber queries by public key, optionally with a channel)
  */
-function handleLookup(publicKey, res) {
+function handleLookup(key, res) {
   // Validate format
-  if (!/^[0-9a-fA-F]{64}$/.test(publicKey)) {
+  if (!parseEntryKey(key)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid public key or channel format' }));
+    return;
+  }
+
+  const entry = db.get(key);
+
+  if (!entry) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  console.log(`[${new Date().toISOString()}] Lookup: ${key.slice(0, 16)}... -> ${entry.manifestInfohash}`);
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(formatEntry(key, entry)));
+}
+
+/**
+ * Handle history request (signed announces for a key, newest first)
+ */
+function handleHistory(key, params, res) {
+  const parsed = parseEntryKey(key);
+  if (!parsed) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid public key or channel format' }));
+    return;
+  }
+
+  const fromSeq = params.has('fromSeq') ? Number(params.get('fromSeq')) : -Infinity;
+  const toSeq = params.has('toSeq') ? Number(params.get('toSeq')) : Infinity;
+  const limit = params.has('limit') ? Number(params.get('limit')) : HISTORY_LIMIT;
+
+  if (Number.isNaN(fromSeq) || Number.isNaN(toSeq) || !Number.isInteger(limit) || limit < 1) {
     res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Invalid public key format' }));
+    res.end(JSON.stringify({ error: 'Invalid fromSeq, toSeq or limit' }));
     return;
   }
 
-  const entry = db.get(publicKey);
+  const entry = db.get(key);
 
   if (!entry) {
     res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -113,24 +740,231 @@ function handleLookup(publicKey, res) {
     return;
   }
 
-  console.log(`[${new Date().toISOString()}] Lookup: ${publicKey.slice(0, 16)}... -> ${entry.manifestInfohash}`);
+  const history = entry.history || [];
+  const announces = history
+    .filter(announce => announce.seq >= fromSeq && announce.seq <= toSeq)
+    .reverse()
+    .slice(0, Math.min(limit, HISTORY_LIMIT));
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({
-    publicKey,
-    manifestInfohash: entry.manifestInfohash,
-    seq: entry.seq,
-    updatedAt: entry.updatedAt
+    publicKey: parsed.publicKey,
+    ...(parsed.channel && { channel: parsed.channel }),
+    announces,
+    total: history.length,
+    oldestSeq: history.length > 0 ? history[0].seq : null
   }));
 }
 
+/**
+ * Handle batch lookup request (follower refreshes many keys in one round-trip)
+ * Only entries that are unknown to the caller or newer than its known seq are returned
+ */
+function handleBatchLookup(body, res) {
+  let publicKeys, knownSeqs;
+  try {
+    ({ publicKeys, knownSeqs = {} } = JSON.parse(body));
+  } catch (err) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    return;
+  }
+
+  if (!Array.isArray(publicKeys) || publicKeys.length === 0) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'No public keys given' }));
+    return;
+  }
+
+  if (publicKeys.length > MAX_KEYS_PER_REQUEST) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Too many public keys (max ${MAX_KEYS_PER_REQUEST})` }));
+    return;
+  }
+
+  if (typeof knownSeqs !== 'object' || knownSeqs === null || Array.isArray(knownSeqs)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'knownSeqs must be an object of publicKey -> seq' }));
+    return;
+  }
+
+  const entries = [];
+  const notFound = [];
+  const errors = [];
+  let unchanged = 0;
+
+  for (const publicKey of new Set(publicKeys)) {
+    if (!parseEntryKey(publicKey)) {
+      errors.push({ publicKey, error: 'Invalid public key or channel format' });
+      continue;
+    }
+
+    const entry = db.get(publicKey);
+    if (!entry) {
+      notFound.push(publicKey);
+      continue;
+    }
+
+    const knownSeq = knownSeqs[publicKey];
+    if (typeof knownSeq === 'number' && knownSeq >= entry.seq) {
+      unchanged++;
+      continue;
+    }
+
+    entries.push(formatEntry(publicKey, entry));
+  }
+
+  console.log(`[${new Date().toISOString()}] Batch lookup: ${publicKeys.length} key(s), ${entries.length} changed`);
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ entries, notFound, unchanged, errors }));
+}
+
+/**
+ * Handle sync request (peer server pulls entries changed since its cursor)
+ */
+function handleSync(params, res) {
+  const since = Number(params.get('since') || 0);
+  const limit = Math.min(Number(params.get('limit') || SYNC_BATCH_SIZE), SYNC_BATCH_SIZE);
+
+  if (!Number.isInteger(since) || !Number.isInteger(limit) || limit < 1) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid since or limit' }));
+    return;
+  }
+
+  const changed = [];
+  for (const [key, entry] of db.entries()) {
+    if (!(entry.changeId > since)) continue;
+
+    if (key.startsWith(KEY_STATE_PREFIX)) {
+      const publicKey = key.slice(KEY_STATE_PREFIX.length);
+      const { succession, revokedDevices } = getKeyState(publicKey);
+      changed.push({
+        publicKey,
+        ...(succession && { succession }),
+        ...(revokedDevices.length > 0 && { revokedDevices }),
+        changeId: entry.changeId
+      });
+    } else {
+      changed.push({ ...formatEntry(key, entry), changeId: entry.changeId });
+    }
+  }
+  changed.sort((a, b) => a.changeId - b.changeId);
+
+  const entries = changed.slice(0, limit);
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    entries,
+    cursor: entries.length > 0 ? entries[entries.length - 1].changeId : since,
+    more: changed.length > limit,
+    lastChangeId
+  }));
+}
+
+/**
+ * Handle subscribe request (subscriber streams announces for one or more keys)
+ */
+function handleSubscribe(publicKeys, res) {
+  if (!Array.isArray(publicKeys) || publicKeys.length === 0) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'No public keys given' }));
+    return;
+  }
+
+  if (publicKeys.length > MAX_KEYS_PER_REQUEST) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Too many public keys (max ${MAX_KEYS_PER_REQUEST})` }));
+    return;
+  }
+
+  if (!publicKeys.every(key => parseEntryKey(key))) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid public key or channel format' }));
+    return;
+  }
+
+  const keys = [...new Set(publicKeys)];
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': subscribed\n\n');
+
+  // Register and send the current state of every key
+  for (const key of keys) {
+    if (!subscribers.has(key)) {
+      subscribers.set(key, new Set());
+    }
+    subscribers.get(key).add(res);
+
+    const entry = db.get(key);
+    if (entry) {
+      writeEvent(res, 'announce', formatEntry(key, entry));
+    }
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  console.log(`[${new Date().toISOString()}] Subscribe: ${keys.length} key(s)`);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    for (const key of keys) {
+      const listeners = subscribers.get(key);
+      if (!listeners) continue;
+      listeners.delete(res);
+      if (listeners.size === 0) {
+        subscribers.delete(key);
+      }
+    }
+  });
+}
+
+/**
+ * Number of open subscription streams (a stream counts once per key it follows)
+ */
+function countSubscriptions() {
+  let count = 0;
+  for (const listeners of subscribers.values()) {
+    count += listeners.size;
+  }
+  return count;
+}
+
+/**
+ * Route label for metrics, with path parameters collapsed
+ */
+function routeLabel(path) {
+  if (path.startsWith('/lookup/')) return '/lookup/:publicKey';
+  if (path.startsWith('/history/')) return '/history/:publicKey';
+  if (['/', '/announce', '/succession', '/revoke-device', '/lookup', '/sync', '/subscribe', '/stats', '/metrics'].includes(path)) return path;
+  return 'unmatched';
+}
+
+/**
+ * Handle metrics request (Prometheus text format)
+ */
+function handleMetrics(res) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+  res.end(metrics.render());
+}
+
 /**
  * Handle stats request
  */
 function handleStats(res) {
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({
-    entries: db.size,
+    entries: entryCount(),
+    storage: db.backend,
+    subscriptions: countSubscriptions(),
+    peers: Object.fromEntries(
+      [...peerState].map(([peerUrl, { cursor, lastSyncAt, lastError }]) => [peerUrl, { cursor, lastSyncAt, lastError }])
+    ),
     memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB'
   }));
 }
@@ -138,7 +972,7 @@ function handleStats(res) {
 /**
  * Main request handler
  */
-const server = http.createServer((req, res) => {
+function handleRequest(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -153,21 +987,89 @@ const server = http.createServer((req, res) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
   const path = url.pathname;
 
+  // Count every request once it is done, streams are left out of the latency histogram
+  const startedAt = process.hrtime.bigint();
+  res.on('close', () => {
+    const labels = { route: routeLabel(path), method: req.method, status: res.statusCode };
+    requestsTotal.inc(labels);
+    if (res.getHeader('Content-Type') !== 'text/event-stream') {
+      requestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+  });
+
   // POST /announce
   if (req.method === 'POST' && path === '/announce') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => handleAnnounce(body, res));
+    readBody(req, res, body => handleAnnounce(body, req, res), () => announceRejections.inc({ reason: 'body_too_large' }));
+    return;
+  }
+
+  // POST /succession
+  if (req.method === 'POST' && path === '/succession') {
+    readBody(req, res, body => handleSuccession(body, res));
     return;
   }
 
-  // GET /lookup/:publicKey
+  // POST /revoke-device
+  if (req.method === 'POST' && path === '/revoke-device') {
+    readBody(req, res, body => handleDeviceRevocation(body, res));
+    return;
+  }
+
+  // POST /lookup (batch)
+  if (req.method === 'POST' && path === '/lookup') {
+    readBody(req, res, body => handleBatchLookup(body, res));
+    return;
+  }
+
+  // GET /lookup/:publicKey[/:channel]
   if (req.method === 'GET' && path.startsWith('/lookup/')) {
     const publicKey = path.slice(8);
     handleLookup(publicKey, res);
     return;
   }
 
+  // GET /sync?since=&limit= (peer replication)
+  if (req.method === 'GET' && path === '/sync') {
+    handleSync(url.searchParams, res);
+    return;
+  }
+
+  // GET /history/:publicKey[/:channel]?fromSeq=&toSeq=&limit=
+  if (req.method === 'GET' && path.startsWith('/history/')) {
+    const publicKey = path.slice(9);
+    handleHistory(publicKey, url.searchParams, res);
+    return;
+  }
+
+  // GET /subscribe?keys=pk1,pk2
+  if (req.method === 'GET' && path === '/subscribe') {
+    const keys = (url.searchParams.get('keys') || '').split(',').filter(Boolean);
+    handleSubscribe(keys, res);
+    return;
+  }
+
+  // POST /subscribe (for key lists too long for a query string)
+  if (req.method === 'POST' && path === '/subscribe') {
+    readBody(req, res, body => {
+      let publicKeys;
+      try {
+        ({ publicKeys } = JSON.parse(body));
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        return;
+      }
+      handleSubscribe(publicKeys, res);
+    });
+    return;
+  }
+
+  // GET /metrics
+  if (req.method === 'GET' && path === '/metrics') {
+    handleMetrics(res);
+    return;
+  }
+
   // GET /stats
   if (req.method === 'GET' && path === '/stats') {
     handleStats(res);
@@ -177,21 +1079,61 @@ const server = http.createServer((req, res) => {
   // GET / - health check
   if (req.method === 'GET' && path === '/') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', entries: db.size }));
+    res.end(JSON.stringify({ status: 'ok', entries: entryCount() }));
     return;
   }
 
   // 404
   res.writeHead(404, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ error: 'Not found' }));
-});
+}
+
+const server = TLS_ENABLED
+  ? https.createServer({ cert: fs.readFileSync(TLS_CERT), key: fs.readFileSync(TLS_KEY) }, handleRequest)
+  : http.createServer(handleRequest);
 
 server.listen(PORT, () => {
-  console.log(`Signaling server running on http://localhost:${PORT}`);
+  console.log(`Signaling server running on ${TLS_ENABLED ? 'https' : 'http'}://localhost:${PORT}`);
   console.log('');
   console.log('Endpoints:');
   console.log('  POST /announce          - Register/update manifest infohash');
-  console.log('  GET  /lookup/:publicKey - Look up manifest by public key');
+  console.log('  POST /succession        - Rotate or revoke a public key');
+  console.log('  POST /revoke-device     - Revoke a device key delegated by a public key');
+  console.log('  GET  /lookup/:publicKey - Look up manifest by public key (/:publicKey/:channel for a channel)');
+  console.log('  POST /lookup            - Look up changed manifests for many keys');
+  console.log('  GET  /history/:publicKey - Signed announce history for a key');
+  console.log('  GET  /subscribe?keys=... - Stream announces (Server-Sent Events)');
+  console.log('  POST /subscribe         - Stream announces for a JSON list of keys');
+  console.log('  GET  /sync?since=N      - Entries changed since a cursor (peer replication)');
   console.log('  GET  /stats             - Server statistics');
+  console.log('  GET  /metrics           - Prometheus metrics');
   console.log('');
+  console.log(`Storage backend: ${db.backend}`);
+
+  if (PEER_SERVERS.length > 0) {
+    console.log(`Peers: ${PEER_SERVERS.join(', ')} (sync every ${SYNC_INTERVAL / 1000}s)`);
+    if (!PEER_SECRET) {
+      console.log('Warning: PEER_SECRET is not set, announces forwarded to peers are rate limited like publishers');
+    }
+    const syncAll = () => PEER_SERVERS.forEach(peerUrl => syncFromPeer(peerUrl));
+    syncAll();
+    setInterval(syncAll, SYNC_INTERVAL).unref();
+  }
 });
+
+/**
+ * Flush storage and exit
+ */
+function shutdown() {
+  console.log('Shutting down...');
+  server.close();
+  try {
+    db.close();
+  } catch (err) {
+    console.error('Failed to close storage:', err.message);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
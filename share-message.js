@@ -2,198 +2,410 @@
 
 import fs from 'fs';
 import path from 'path';
-import http from 'http';
 import { fileURLToPath } from 'url';
-import { createSignedMessage, signManifest, sign } from './lib/crypto-utils.js';
+import {
+  createSignedMessage,
+  signManifest,
+  verifyManifest,
+  signPage,
+  manifestHash,
+  signAnnounce,
+  verifyAnnounce,
+  mergeDeviceRevocations
+} from './lib/crypto-utils.js';
+import { parseServerUrls, lookupFromServers, announceExpectingSeqs, isValidChannel, channelKey } from './lib/signaling-client.js';
+import { createDHT, destroyDHT, putManifestPointer, getManifestPointer, putImmutable, MAX_ITEM_SIZE } from './lib/dht-store.js';
+import { encryptMessage, encryptGroupMessage, generateGroupKey, wrapGroupKeys } from './lib/encryption.js';
+import { loadKeys } from './lib/keystore.js';
+import { DEFAULT_IDENTITY, resolveIdentity, loadDevices } from './lib/identity.js';
 import {
   createClient,
   destroyClient,
   seedJSON,
+  saveJSON,
+  downloadJSON,
+  messageEntryId,
   generateMessageFilename,
-  generateManifestFilename
+  generateManifestFilename,
+  generatePageFilename,
+  parseManifestFilename,
+  loadPage
 } from './lib/torrent-utils.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const KEYS_FILE = path.join(__dirname, 'data', 'keys.json');
-const LOCAL_INDEX_FILE = path.join(__dirname, 'data', 'local-index.json');
-const MESSAGES_DIR = path.join(__dirname, 'data', 'messages');
+const DATA_DIR = path.join(__dirname, 'data');
+const MESSAGES_DIR = path.join(DATA_DIR, 'messages');
+
+// Signaling server URLs, comma-separated (can be overridden via environment variable)
+const SERVER_URLS = parseServerUrls(process.env.SERVER_URL || 'http://localhost:3000');
 
-// Signaling server URL (can be overridden via environment variable)
-const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+// Give up after this many rounds of merging with manifests published by other devices
+const MAX_PUBLISH_ATTEMPTS = 3;
+
+// Entries kept in the head manifest; older ones are sealed into immutable pages of this size
+const MANIFEST_PAGE_SIZE = 100;
 
 // Load or create local index
 function loadLocalIndex() {
-  if (fs.existsSync(LOCAL_INDEX_FILE)) {
-    return JSON.parse(fs.readFileSync(LOCAL_INDEX_FILE, 'utf8'));
+  if (fs.existsSync(identity.localIndexFile)) {
+    return JSON.parse(fs.readFileSync(identity.localIndexFile, 'utf8'));
   }
   return {};
 }
 
 // Save local index
 function saveLocalIndex(index) {
-  fs.writeFileSync(LOCAL_INDEX_FILE, JSON.stringify(index, null, 2));
+  fs.writeFileSync(identity.localIndexFile, JSON.stringify(index, null, 2));
+}
+
+// Load group channel state of the identity (channel key -> { members, keys })
+function loadGroups() {
+  if (fs.existsSync(identity.groupsFile)) {
+    return JSON.parse(fs.readFileSync(identity.groupsFile, 'utf8'));
+  }
+  return {};
+}
+
+// Save group channel state, it holds the channel keys in plaintext like keys.json
+function saveGroups(groups) {
+  fs.writeFileSync(identity.groupsFile, JSON.stringify(groups, null, 2));
 }
 
-// Try to load manifest from local files
-function tryLoadLocalManifest(publicKeyHex) {
+// Try to load the latest manifest from local files, returns { manifest, seq }
+function tryLoadLocalManifest(publicKeyHex, channel = null) {
   try {
     if (!fs.existsSync(MESSAGES_DIR)) return null;
-    const files = fs.readdirSync(MESSAGES_DIR);
-    const keyPrefix = publicKeyHex.slice(0, 8);
-    const manifestFiles = files.filter(f => f.startsWith(`manifest-${keyPrefix}`));
+    const manifestFiles = fs.readdirSync(MESSAGES_DIR)
+      .map(file => ({ file, seq: parseManifestFilename(file, publicKeyHex, channel) }))
+      .filter(({ seq }) => seq !== null);
 
     if (manifestFiles.length === 0) return null;
 
     // Sort by seq number and get the latest
-    manifestFiles.sort((a, b) => {
-      const seqA = parseInt(a.split('-')[2].replace('.json', ''));
-      const seqB = parseInt(b.split('-')[2].replace('.json', ''));
-      return seqB - seqA;
-    });
+    manifestFiles.sort((a, b) => b.seq - a.seq);
 
-    const latestManifest = fs.readFileSync(path.join(MESSAGES_DIR, manifestFiles[0]), 'utf8');
-    return JSON.parse(latestManifest);
+    const latestManifest = fs.readFileSync(path.join(MESSAGES_DIR, manifestFiles[0].file), 'utf8');
+    return { manifest: JSON.parse(latestManifest), seq: manifestFiles[0].seq };
   } catch (e) {
     return null;
   }
 }
 
-// Announce to signaling server
-async function announceToServer(publicKeyHex, privateKey, manifestInfohash, seq) {
-  return new Promise((resolve, reject) => {
-    const dataToSign = JSON.stringify({ publicKey: publicKeyHex, manifestInfohash, seq });
-    const signature = sign(dataToSign, privateKey).toString('hex');
-
-    const payload = JSON.stringify({
-      publicKey: publicKeyHex,
-      manifestInfohash,
-      seq,
-      signature
-    });
+// Link from the next manifest to a signed one, so followers can detect rollbacks and forks
+function manifestLink(manifest, seq) {
+  return { seq, hash: manifestHash(manifest) };
+}
 
-    const url = new URL(SERVER_URL);
-    const options = {
-      hostname: url.hostname,
-      port: url.port || 80,
-      path: '/announce',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payload)
-      }
-    };
+// Number of messages in a manifest, sealed pages included
+function countMessages(manifest) {
+  return manifest.messages.length + (manifest.pages || []).reduce((sum, pointer) => sum + pointer.count, 0);
+}
 
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(JSON.parse(data));
-        } else {
-          reject(new Error(`Server error: ${data}`));
-        }
-      });
-    });
+// Seal the oldest entries of a full head manifest into signed pages and seed them
+async function sealPages(client, manifest, privateKey, delegation) {
+  const pages = [...(manifest.pages || [])];
+
+  while (manifest.messages.length > MANIFEST_PAGE_SIZE) {
+    const messages = manifest.messages.slice(0, MANIFEST_PAGE_SIZE);
+    const page = signPage({ publicKey: manifest.publicKey, page: pages.length, messages }, privateKey, delegation);
+    const hash = manifestHash(page);
+
+    console.log('Sealing', messages.length, 'older messages into page', pages.length, '...');
+    const { infohash } = await seedJSON(client, page, generatePageFilename(manifest.publicKey, pages.length, hash, CHANNEL));
+    pages.push({ infohash, hash, count: messages.length, from: messages[0].timestamp, to: messages[messages.length - 1].timestamp });
+    manifest.messages = manifest.messages.slice(MANIFEST_PAGE_SIZE);
+  }
 
-    req.on('error', reject);
-    req.write(payload);
-    req.end();
-  });
+  manifest.pages = pages;
 }
 
-// Lookup from signaling server
-async function lookupFromServer(publicKeyHex) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(SERVER_URL);
-    const options = {
-      hostname: url.hostname,
-      port: url.port || 80,
-      path: `/lookup/${publicKeyHex}`,
-      method: 'GET'
-    };
+// Union of the message lists of two manifests, oldest first
+// Published pages are never rewritten: if the other device sealed pages we do not have,
+// its page list wins and the entries of pages only we sealed go back into the head.
+// Both manifests were verified now, so they vouch for their pages until now.
+async function mergeManifests(client, manifest, other) {
+  const ours = manifest.pages || [];
+  const theirs = other.pages || [];
+  let common = 0;
+  while (common < ours.length && common < theirs.length && ours[common].hash === theirs[common].hash) {
+    common++;
+  }
 
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(JSON.parse(data));
-        } else if (res.statusCode === 404) {
-          resolve(null);
-        } else {
-          reject(new Error(`Server error: ${data}`));
-        }
-      });
-    });
+  const pages = theirs.length > common ? theirs : ours;
+  const revocations = mergeDeviceRevocations(manifest.revocations, other.revocations);
+  const vouchedAt = Date.now();
+  const sealed = new Set();
+  for (let index = common; index < pages.length; index++) {
+    const page = await loadPage(client, { ...manifest, pages }, index, { channel: CHANNEL, revocations, vouchedAt });
+    for (const msg of page.messages) sealed.add(messageEntryId(msg));
+  }
+
+  const unsealed = [];
+  if (pages === theirs) {
+    for (let index = common; index < ours.length; index++) {
+      unsealed.push(...(await loadPage(client, manifest, index, { channel: CHANNEL, revocations, vouchedAt })).messages);
+    }
+  }
 
-    req.on('error', reject);
-    req.end();
-  });
+  const messages = new Map();
+  for (const msg of [...unsealed, ...other.messages, ...manifest.messages]) {
+    const id = messageEntryId(msg);
+    if (!sealed.has(id)) messages.set(id, msg);
+  }
+
+  return {
+    publicKey: manifest.publicKey,
+    ...(manifest.group && { group: manifest.group }),
+    revocations,
+    pages,
+    messages: [...messages.values()].sort((a, b) => a.timestamp - b.timestamp)
+  };
 }
 
-// Get message from command line args
-const messageContent = process.argv[2] || 'test';
+// Parse command line args
+const args = process.argv.slice(2);
+const messageContent = args.find(arg => !arg.startsWith('--')) || 'test';
+
+// Discovery mode: server, dht or both (can be overridden via --discovery= or DISCOVERY)
+const discoveryArg = args.find(arg => arg.startsWith('--discovery='));
+const DISCOVERY = discoveryArg ? discoveryArg.split('=')[1] : (process.env.DISCOVERY || 'server');
+const useServer = DISCOVERY !== 'dht';
+const useDHT = DISCOVERY !== 'server';
+
+if (!['server', 'dht', 'both'].includes(DISCOVERY)) {
+  console.error('Error: Invalid discovery mode. Use server, dht or both.');
+  process.exit(1);
+}
+
+// Identity to publish as (can be overridden via --identity= or IDENTITY)
+const identityArg = args.find(arg => arg.startsWith('--identity='));
+let identity;
+try {
+  identity = resolveIdentity(DATA_DIR, identityArg ? identityArg.split('=')[1] : null);
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+
+// Named feed of this identity, each channel has its own manifest and seq
+const channelArg = args.find(arg => arg.startsWith('--channel='));
+const CHANNEL = channelArg ? channelArg.split('=')[1] : null;
+
+if (CHANNEL !== null && !isValidChannel(CHANNEL)) {
+  console.error('Error: Invalid channel name. Use up to 64 letters, digits, "_" or "-".');
+  process.exit(1);
+}
+
+// Recipient public key of a private message, only they can decrypt the content
+const toArg = args.find(arg => arg.startsWith('--to='));
+const RECIPIENT = toArg ? toArg.split('=')[1].toLowerCase() : null;
+
+if (RECIPIENT !== null && !/^[0-9a-f]{64}$/.test(RECIPIENT)) {
+  console.error('Error: Invalid recipient. Use a 64-character hex public key.');
+  process.exit(1);
+}
+
+// Members of a private group channel; set on the first message, later lists replace it
+const membersArg = args.find(arg => arg.startsWith('--members='));
+const MEMBERS = membersArg
+  ? [...new Set(membersArg.split('=')[1].split(',').map(key => key.trim().toLowerCase()).filter(Boolean))]
+  : null;
+
+if (MEMBERS !== null) {
+  if (!CHANNEL) {
+    console.error('Error: Group channels need a name, use --members together with --channel.');
+    process.exit(1);
+  }
+  if (MEMBERS.some(key => !/^[0-9a-f]{64}$/.test(key))) {
+    console.error('Error: Invalid member. Use comma-separated 64-character hex public keys.');
+    process.exit(1);
+  }
+}
 
 async function main() {
   // Load keys
-  if (!fs.existsSync(KEYS_FILE)) {
-    console.error('Error: No keys found. Run generate-keys.js first.');
+  if (!fs.existsSync(identity.keysFile)) {
+    console.error(`Error: No keys found for ${identity.label}. Run generate-keys.js first.`);
     process.exit(1);
   }
 
-  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+  let keys;
+  try {
+    keys = await loadKeys(identity.keysFile, identity.label);
+  } catch (err) {
+    console.error(`Error: Could not unlock ${identity.label}:`, err.message);
+    process.exit(1);
+  }
+
+  // A device key signs for the master key and attaches its delegation certificate
+  const delegation = keys.delegation || null;
+  if (keys.deviceKey && !delegation) {
+    console.error(`Error: ${identity.label} is a device key without a delegation. Run generate-keys.js accept-delegation first.`);
+    process.exit(1);
+  }
+  if (delegation) {
+    const missing = ['message', 'manifest', ...(useServer ? ['announce'] : [])].filter(capability => !delegation.scope.includes(capability));
+    let problem = null;
+    if (delegation.expiresAt !== null && delegation.expiresAt < Date.now()) {
+      problem = `The delegation of this device expired at ${new Date(delegation.expiresAt).toISOString()}`;
+    } else if (missing.length > 0) {
+      problem = `The delegation of this device does not allow: ${missing.join(', ')}`;
+    } else if (DISCOVERY === 'dht') {
+      problem = 'DHT pointers must be signed by the master key itself, publish from a device with --discovery=server';
+    } else if (RECIPIENT || MEMBERS) {
+      problem = 'Private and group messages need the master key';
+    }
+    if (problem) {
+      console.error('Error:', problem);
+      process.exit(1);
+    }
+  }
+
   const publicKey = Buffer.from(keys.publicKey, 'hex');
   const privateKey = Buffer.from(keys.privateKey, 'hex');
 
+  if (identity.name !== DEFAULT_IDENTITY) console.log('Identity:', identity.name);
   console.log('Using public key:', keys.publicKey);
+  if (delegation) console.log('Signing with device key:', keys.deviceKey);
+  if (delegation && useDHT) console.log('Note: Only the master key can update the DHT pointer, announcing to servers only');
+  if (CHANNEL) console.log('Channel:', CHANNEL);
+  if (RECIPIENT) console.log('Private message to:', RECIPIENT);
   console.log('Message:', messageContent);
-  console.log('Server:', SERVER_URL);
+  console.log('Discovery:', DISCOVERY);
+  if (useServer) console.log('Server:', SERVER_URLS.join(', '));
   console.log('');
 
   let client = null;
+  let dht = null;
 
   try {
+    // Bootstrapping the DHT takes a while, start it right away
+    const dhtReady = useDHT ? createDHT() : null;
+
     // Initialize WebTorrent client
     console.log('Starting WebTorrent client...');
     client = createClient();
     console.log('WebTorrent ready');
     console.log('');
 
+    // Group channel state, the key is rotated whenever a member is removed
+    const groups = loadGroups();
+    const indexKey = channelKey(keys.publicKey, CHANNEL);
+    let group = groups[indexKey] || null;
+
+    if (group && RECIPIENT) {
+      throw new Error(`Channel ${CHANNEL} is a group channel, private messages to one recipient go to another channel`);
+    }
+    if (group && delegation) {
+      throw new Error(`Channel ${CHANNEL} is a group channel, group messages need the master key`);
+    }
+
+    if (MEMBERS) {
+      const members = MEMBERS.filter(key => key !== keys.publicKey);
+      if (!group) {
+        group = { members, keys: [{ keyId: 1, key: generateGroupKey().toString('hex') }] };
+        console.log('Creating group channel with', members.length, 'member(s)');
+      } else {
+        const removed = group.members.filter(key => !members.includes(key));
+        const added = members.filter(key => !group.members.includes(key));
+        group = { members, keys: group.keys };
+        if (added.length > 0) console.log('Adding', added.length, 'member(s) to the group');
+        if (removed.length > 0) {
+          const keyId = group.keys[group.keys.length - 1].keyId + 1;
+          group.keys = [...group.keys, { keyId, key: generateGroupKey().toString('hex') }];
+          console.log('Removed', removed.length, 'member(s), rotating to group key', keyId);
+        }
+      }
+      console.log('');
+    } else if (group) {
+      console.log('Group channel with', group.members.length, 'member(s), key', group.keys[group.keys.length - 1].keyId);
+      console.log('');
+    }
+
     // Check for existing manifest (local first, then server)
     console.log('Checking for existing manifest...');
     let manifest;
     let seq = 1;
+    // Seq each server and the DHT are expected to hold, checked on publish so
+    // another device publishing at the same time is detected instead of overwritten
+    const serverSeqs = new Map(SERVER_URLS.map(serverUrl => [serverUrl, 0]));
+    let dhtSeq = null;
+    // Newest pointer found remotely, its manifest is the base if there is no local copy
+    let remotePointer = null;
+    // Previous manifest in the chain, null when starting a new feed
+    let prev = null;
 
     // Try local index first
     const localIndex = loadLocalIndex();
-    const localEntry = localIndex[keys.publicKey];
+    const localEntry = localIndex[indexKey];
 
     if (localEntry) {
       seq = localEntry.seq + 1;
-      manifest = tryLoadLocalManifest(keys.publicKey);
-      if (manifest) {
-        console.log('Loaded local manifest with', manifest.messages.length, 'existing messages (seq:', localEntry.seq, ')');
+      for (const serverUrl of SERVER_URLS) serverSeqs.set(serverUrl, localEntry.seq);
+      dhtSeq = localEntry.seq;
+      const local = tryLoadLocalManifest(keys.publicKey, CHANNEL);
+      if (local) {
+        manifest = local.manifest;
+        prev = manifestLink(local.manifest, local.seq);
+        console.log('Loaded local manifest with', countMessages(manifest), 'existing messages (seq:', localEntry.seq, ')');
       }
     }
 
-    // If no local manifest, try server
-    if (!manifest) {
+    // If no local manifest, try server and/or DHT
+    if (!manifest && useServer) {
       try {
-        const serverEntry = await lookupFromServer(keys.publicKey);
-        if (serverEntry) {
-          seq = serverEntry.seq + 1;
-          console.log('Found existing entry on server (seq:', serverEntry.seq, ')');
+        const found = await lookupFromServers(SERVER_URLS, indexKey);
+        if (found) {
+          seq = Math.max(seq, found.entry.seq + 1);
+          for (const serverUrl of SERVER_URLS) serverSeqs.set(serverUrl, found.entry.seq);
+          remotePointer = found.entry;
+          console.log('Found existing entry on', found.serverUrl, '(seq:', found.entry.seq, ')');
         }
       } catch (err) {
         console.log('Could not reach server, continuing with local data');
       }
     }
 
+    if (!manifest && useDHT) {
+      try {
+        dht = await dhtReady;
+        const pointer = await getManifestPointer(dht, publicKey, 30000, CHANNEL);
+        if (pointer) {
+          seq = Math.max(seq, pointer.seq + 1);
+          dhtSeq = pointer.seq;
+          if (!remotePointer || pointer.seq > remotePointer.seq) remotePointer = pointer;
+          console.log('Found existing DHT item (seq:', pointer.seq, ')');
+        }
+      } catch (err) {
+        console.log('DHT lookup failed, continuing with local data:', err.message);
+      }
+    }
+
+    // Continue from the published manifest (e.g. on a new device), checked against our key now.
+    // The server's updatedAt is unsigned, so a manifest from a device key that expired or was
+    // revoked since is refused rather than trusted at a time the server picked
+    if (!manifest && remotePointer) {
+      try {
+        console.log('Downloading manifest for seq', remotePointer.seq, '...');
+        const remote = await downloadJSON(client, remotePointer.manifestInfohash, 60000);
+        if (remote.publicKey !== keys.publicKey || !verifyManifest(remote)) {
+          throw new Error('not signed by this key');
+        }
+        manifest = remote;
+        prev = manifestLink(remote, remotePointer.seq);
+        console.log('Downloaded manifest with', countMessages(manifest), 'existing messages');
+      } catch (err) {
+        console.log('Could not load the published manifest, its messages will be missing:', err.message);
+      }
+    }
+
     // If still no manifest, create new one
     if (!manifest) {
-      manifest = tryLoadLocalManifest(keys.publicKey);
-      if (manifest) {
-        console.log('Found local manifest file with', manifest.messages.length, 'existing messages');
+      const local = tryLoadLocalManifest(keys.publicKey, CHANNEL);
+      if (local) {
+        manifest = local.manifest;
+        prev = manifestLink(local.manifest, local.seq);
+        console.log('Found local manifest file with', countMessages(manifest), 'existing messages');
       } else {
         console.log('No existing manifest found, creating new one');
         manifest = { publicKey: keys.publicKey, messages: [] };
@@ -204,43 +416,180 @@ async function main() {
 
     // Create signed message
     console.log('Creating signed message...');
-    const message = createSignedMessage(messageContent, publicKey, privateKey);
-    const messageFilename = generateMessageFilename(keys.publicKey, message.timestamp);
+    const signedMessage = createSignedMessage(messageContent, publicKey, privateKey, delegation);
+
+    // Private messages are published as an envelope that only the recipient can open
+    let message = signedMessage;
+    if (RECIPIENT) {
+      console.log('Encrypting message for recipient...');
+      message = encryptMessage(signedMessage, publicKey, privateKey, Buffer.from(RECIPIENT, 'hex'));
+    } else if (group) {
+      const { keyId, key } = group.keys[group.keys.length - 1];
+      console.log('Encrypting message with group key', keyId, '...');
+      message = encryptGroupMessage(signedMessage, publicKey, privateKey, keyId, Buffer.from(key, 'hex'));
+    }
+    const messageFilename = generateMessageFilename(keys.publicKey, signedMessage.timestamp);
+
+    // Small messages skip the torrent: a BEP44 immutable item when using the DHT,
+    // inline in the manifest otherwise. Larger ones are seeded as their own torrent.
+    let messageEntry = null;
+    let messageLocation;
+
+    if (Buffer.byteLength(JSON.stringify(message)) < MAX_ITEM_SIZE) {
+      // Local copy, so republish.js can put the item again before it expires
+      saveJSON(message, messageFilename);
+
+      if (useDHT) {
+        try {
+          dht = dht || await dhtReady;
+          console.log('Storing message as DHT immutable item...');
+          const dhtHash = await putImmutable(dht, JSON.stringify(message));
+          messageEntry = { dhtHash, timestamp: signedMessage.timestamp };
+          messageLocation = `DHT item ${dhtHash}`;
+        } catch (err) {
+          console.log('Could not store message in DHT, inlining it in the manifest:', err.message);
+        }
+      }
 
-    // Seed message as torrent
-    console.log('Seeding message torrent...');
-    const messageTorrent = await seedJSON(client, message, messageFilename);
-    console.log('Message torrent infohash:', messageTorrent.infohash);
+      if (!messageEntry) {
+        messageEntry = { message, timestamp: signedMessage.timestamp };
+        messageLocation = 'inline in manifest';
+      }
+    } else {
+      // Seed message as torrent
+      console.log('Seeding message torrent...');
+      const messageTorrent = await seedJSON(client, message, messageFilename);
+      messageEntry = { infohash: messageTorrent.infohash, timestamp: signedMessage.timestamp };
+      messageLocation = `torrent ${messageTorrent.infohash}`;
+    }
+    console.log('Message stored:', messageLocation);
 
     // Add message to manifest
-    manifest.messages.push({
-      infohash: messageTorrent.infohash,
-      timestamp: message.timestamp
-    });
+    manifest.messages.push(messageEntry);
+
+    // Every member, and this key for its other devices, gets the channel keys
+    if (group) {
+      const recipients = [keys.publicKey, ...group.members].map(key => Buffer.from(key, 'hex'));
+      manifest.group = wrapGroupKeys(group.keys, publicKey, recipients);
+    }
 
-    // Sign and seed manifest
-    console.log('Creating updated manifest...');
-    const signedManifest = signManifest(manifest, privateKey);
-    const manifestFilename = generateManifestFilename(keys.publicKey, seq);
+    // Device revocations travel with the feed, so followers learn them from any later manifest
+    manifest.revocations = mergeDeviceRevocations(manifest.revocations, delegation ? [] : loadDevices(identity.devicesFile).revocations);
 
-    console.log('Seeding manifest torrent...');
-    const manifestTorrent = await seedJSON(client, signedManifest, manifestFilename);
-    console.log('Manifest torrent infohash:', manifestTorrent.infohash);
+    // Publish, merging with whatever another device published in the meantime
+    const mergedInfohashes = new Set();
+    let manifestTorrent;
 
-    console.log('');
+    for (let attempt = 1; ; attempt++) {
+      // Only the head is re-seeded on every message, full pages are sealed once
+      await sealPages(client, manifest, privateKey, delegation);
+
+      // Sign and seed manifest
+      console.log('Creating updated manifest...');
+      const signedManifest = signManifest({ ...manifest, seq, prev }, privateKey, delegation);
+      const manifestFilename = generateManifestFilename(keys.publicKey, seq, CHANNEL);
+
+      console.log('Seeding manifest torrent...');
+      manifestTorrent = await seedJSON(client, signedManifest, manifestFilename);
+      console.log('Manifest torrent infohash:', manifestTorrent.infohash);
 
-    // Announce to signaling server
-    console.log('Announcing to server (seq:', seq, ')...');
-    try {
-      await announceToServer(keys.publicKey, privateKey, manifestTorrent.infohash, seq);
-      console.log('Announced to server successfully!');
-    } catch (err) {
-      console.log('Warning: Could not announce to server:', err.message);
-      console.log('Messages will still be available via torrent if you share the infohash directly.');
+      console.log('');
+
+      let conflict = false;
+
+      // Announce to signaling server
+      if (useServer) {
+        console.log('Announcing to server (seq:', seq, ')...');
+        const announce = signAnnounce(keys.publicKey, manifestTorrent.infohash, seq, privateKey, CHANNEL, delegation);
+        const { accepted, conflicts, failed } = await announceExpectingSeqs(SERVER_URLS, announce, serverSeqs);
+        for (const { serverUrl, error } of failed) {
+          console.log(`Warning: Could not announce to ${serverUrl}:`, error.message);
+        }
+        for (const serverUrl of conflicts) {
+          console.log(`${serverUrl} already has seq ${serverSeqs.get(serverUrl)} from another device`);
+          conflict = true;
+        }
+        if (accepted.length > 0) {
+          console.log(`Announced to ${accepted.length}/${SERVER_URLS.length} server(s) successfully!`);
+        } else if (!conflict) {
+          console.log('Messages will still be available via torrent if you share the infohash directly.');
+        }
+      }
+
+      // Store the manifest pointer as a BEP44 mutable item under our key
+      // (only the master key can sign it, a device leaves the DHT pointer alone)
+      if (useDHT && !delegation) {
+        console.log('Publishing manifest pointer to DHT (seq:', seq, ')...');
+        try {
+          dht = dht || await dhtReady;
+          await putManifestPointer(dht, publicKey, privateKey, manifestTorrent.infohash, seq, CHANNEL, dhtSeq ?? undefined);
+          console.log('Published to DHT successfully!');
+        } catch (err) {
+          // 301: CAS mismatch, 302: the DHT already has a higher seq
+          if (err.code === 301 || err.code === 302) {
+            console.log('DHT item was updated by another device');
+            conflict = true;
+          } else {
+            console.log('Warning: Could not publish to DHT:', err.message);
+          }
+        }
+      }
+
+      if (!conflict) break;
+
+      if (attempt === MAX_PUBLISH_ATTEMPTS) {
+        throw new Error(`Still conflicting with another device after ${attempt} attempts, try again later`);
+      }
+
+      // Fetch the winning pointers and merge their manifests into ours
+      console.log('');
+      console.log('Merging with the manifest published by another device...');
+      const pointers = [];
+
+      if (useServer) {
+        const found = await lookupFromServers(SERVER_URLS, indexKey, entry =>
+          (entry.channel || null) === CHANNEL && verifyAnnounce(entry, keys.publicKey));
+        if (found) pointers.push(found.entry);
+      }
+
+      if (useDHT && dht) {
+        const pointer = await getManifestPointer(dht, publicKey, 30000, CHANNEL);
+        dhtSeq = pointer ? pointer.seq : null;
+        if (pointer) pointers.push(pointer);
+      }
+
+      for (const pointer of pointers) {
+        seq = Math.max(seq, pointer.seq + 1);
+        if (pointer.manifestInfohash === manifestTorrent.infohash || mergedInfohashes.has(pointer.manifestInfohash)) {
+          continue;
+        }
+
+        let other;
+        try {
+          other = await downloadJSON(client, pointer.manifestInfohash, 60000);
+        } catch (err) {
+          throw new Error(`Could not download the manifest published by another device (seq ${pointer.seq}): ${err.message}`);
+        }
+        if (other.publicKey !== keys.publicKey || !verifyManifest(other)) {
+          throw new Error(`Manifest for seq ${pointer.seq} is not signed by this key`);
+        }
+
+        mergedInfohashes.add(pointer.manifestInfohash);
+        manifest = await mergeManifests(client, manifest, other);
+        // The winning manifest is the head now, chain onto it
+        if (!prev || pointer.seq > prev.seq) prev = manifestLink(other, pointer.seq);
+        console.log('Merged manifest for seq', pointer.seq, '-', countMessages(manifest), 'messages in total');
+      }
+
+      console.log('Retrying with seq', seq);
+      console.log('');
     }
 
+    if (dht) await destroyDHT(dht);
+    dht = null;
+
     // Save to local index
-    localIndex[keys.publicKey] = {
+    localIndex[indexKey] = {
       manifestInfohash: manifestTorrent.infohash,
       seq: seq,
       updatedAt: Date.now()
@@ -248,19 +597,27 @@ async function main() {
     saveLocalIndex(localIndex);
     console.log('Updated local index');
 
+    if (group) {
+      groups[indexKey] = group;
+      saveGroups(groups);
+    }
+
     console.log('');
     console.log('='.repeat(60));
     console.log('Message shared successfully!');
     console.log('='.repeat(60));
     console.log('');
     console.log('Public Key:', keys.publicKey);
-    console.log('Message Infohash:', messageTorrent.infohash);
+    if (CHANNEL) console.log('Channel:', CHANNEL);
+    if (RECIPIENT) console.log('Encrypted for:', RECIPIENT);
+    if (group) console.log('Group Members:', group.members.length, '(key', group.keys[group.keys.length - 1].keyId + ')');
+    console.log('Message:', messageLocation);
     console.log('Manifest Infohash:', manifestTorrent.infohash);
     console.log('Sequence Number:', seq);
-    console.log('Total Messages:', manifest.messages.length);
+    console.log('Total Messages:', countMessages(manifest), manifest.pages.length > 0 ? `(${manifest.pages.length} sealed page(s))` : '');
     console.log('');
     console.log('Share your public key with others so they can find your messages:');
-    console.log('  node find-messages.js', keys.publicKey);
+    console.log('  node find-messages.js', keys.publicKey, ...(CHANNEL ? [`--channel=${CHANNEL}`] : []));
     console.log('');
     console.log('Keep this process running to seed the torrent...');
     console.log('Press Ctrl+C to stop');
@@ -276,6 +633,7 @@ async function main() {
   } catch (err) {
     console.error('Error:', err.message);
     if (client) await destroyClient(client);
+    if (dht) await destroyDHT(dht);
     process.exit(1);
   }
 }
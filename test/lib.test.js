@@ -0,0 +1,190 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  generateKeypair,
+  sign,
+  createSignedMessage,
+  verifyMessage,
+  signAnnounce,
+  verifyAnnounce,
+  signManifest,
+  verifyManifest,
+  createDelegation,
+  createDeviceRevocation
+} from '../lib/crypto-utils.js';
+import {
+  encryptMessage,
+  decryptMessage,
+  verifyEncryptedMessage,
+  generateGroupKey,
+  wrapGroupKeys,
+  unwrapGroupKeys,
+  encryptGroupMessage,
+  decryptGroupMessage,
+  verifyGroupMessage
+} from '../lib/encryption.js';
+import { encryptKeystore, decryptKeystore } from '../lib/keystore.js';
+import { seedToMnemonic, seedToCompact, backupToSeed } from '../lib/mnemonic.js';
+import { createStore } from '../lib/store.js';
+
+const infohash = 'ab'.repeat(20);
+
+// Flip one hex digit of a signature, ciphertext or key
+function tamper(hex) {
+  return (hex[0] === '0' ? '1' : '0') + hex.slice(1);
+}
+
+test('v2 messages verify and reject changed content', () => {
+  const { publicKey, privateKey } = generateKeypair();
+  const message = createSignedMessage('hello', publicKey, privateKey);
+
+  assert.equal(message.v, 2);
+  assert.ok(verifyMessage(message));
+  assert.equal(verifyMessage({ ...message, content: 'hello!' }), false);
+  assert.equal(verifyMessage({ ...message, signature: tamper(message.signature) }), false);
+  // Dropping `v` must not turn it into a legacy object that verifies
+  assert.equal(verifyMessage({ ...message, v: undefined }), false);
+});
+
+test('legacy messages signed without a version still verify', () => {
+  const { publicKey, privateKey } = generateKeypair();
+  const fields = { content: 'old', timestamp: 1700000000000, publicKey: publicKey.toString('hex') };
+  const message = { ...fields, signature: sign(JSON.stringify(fields), privateKey).toString('hex') };
+
+  assert.ok(verifyMessage(message));
+  assert.equal(verifyMessage({ ...message, timestamp: message.timestamp + 1 }), false);
+});
+
+test('a v2 signature of one object type cannot be replayed as another', () => {
+  const { publicKey, privateKey } = generateKeypair();
+  const publicKeyHex = publicKey.toString('hex');
+  const announce = signAnnounce(publicKeyHex, infohash, 1, privateKey);
+
+  assert.ok(verifyAnnounce(announce, publicKeyHex));
+  assert.equal(verifyAnnounce({ ...announce, seq: 2 }, publicKeyHex), false);
+  assert.equal(verifyMessage({ v: 2, content: infohash, timestamp: 1, publicKey: publicKeyHex, signature: announce.signature }), false);
+});
+
+test('device announces and manifests are checked when received, not at the server\'s updatedAt', () => {
+  const master = generateKeypair();
+  const device = generateKeypair();
+  const publicKey = master.publicKey.toString('hex');
+  const deviceKey = device.publicKey.toString('hex');
+  const publishedAt = Date.now() - 120000;
+
+  // Signed by the device, as a server would return it with its unsigned updatedAt
+  const publish = (delegation) => ({
+    announce: { ...signAnnounce(publicKey, infohash, 1, device.privateKey, null, delegation), updatedAt: publishedAt },
+    manifest: signManifest({ publicKey, seq: 1, prev: null, messages: [] }, device.privateKey, delegation)
+  });
+
+  const valid = publish(createDelegation(publicKey, deviceKey, master.privateKey));
+  assert.ok(verifyAnnounce(valid.announce, publicKey));
+  assert.ok(verifyManifest(valid.manifest));
+
+  // Expired since: a backdated updatedAt from before expiry does not bring it back
+  const expired = publish(createDelegation(publicKey, deviceKey, master.privateKey, { expiresAt: Date.now() - 60000 }));
+  assert.equal(verifyAnnounce(expired.announce, publicKey), false);
+  assert.equal(verifyManifest(expired.manifest), false);
+
+  // Revoked since: the same holds with the revocation known
+  const revocations = [createDeviceRevocation(publicKey, deviceKey, master.privateKey, Date.now() - 60000)];
+  assert.equal(verifyAnnounce(valid.announce, publicKey, { revocations }), false);
+  assert.equal(verifyManifest(valid.manifest, { revocations }), false);
+});
+
+test('direct messages decrypt for the recipient only and reject tampering', () => {
+  const sender = generateKeypair();
+  const recipient = generateKeypair();
+  const other = generateKeypair();
+  const message = createSignedMessage('secret', sender.publicKey, sender.privateKey);
+  const envelope = encryptMessage(message, sender.publicKey, sender.privateKey, recipient.publicKey);
+
+  assert.ok(verifyEncryptedMessage(envelope));
+  assert.deepEqual(decryptMessage(envelope, recipient.privateKey, recipient.publicKey), message);
+  assert.equal(decryptMessage(envelope, other.privateKey, other.publicKey), null);
+
+  const changed = { ...envelope, ciphertext: tamper(envelope.ciphertext) };
+  assert.equal(verifyEncryptedMessage(changed), false);
+  assert.equal(decryptMessage(changed, recipient.privateKey, recipient.publicKey), null);
+});
+
+test('group keys unwrap for members only and group messages reject tampering', () => {
+  const owner = generateKeypair();
+  const member = generateKeypair();
+  const outsider = generateKeypair();
+  const keys = [{ keyId: 1, key: generateGroupKey().toString('hex') }];
+  const group = wrapGroupKeys(keys, owner.publicKey, [owner.publicKey, member.publicKey]);
+  const ownerHex = owner.publicKey.toString('hex');
+
+  const groupKeys = unwrapGroupKeys(group, ownerHex, member.privateKey, member.publicKey);
+  assert.equal(groupKeys.get(1).toString('hex'), keys[0].key);
+  assert.equal(unwrapGroupKeys(group, ownerHex, outsider.privateKey, outsider.publicKey), null);
+  // The wraps are bound to the owner, they do not open under another publisher key
+  assert.equal(unwrapGroupKeys(group, outsider.publicKey.toString('hex'), member.privateKey, member.publicKey), null);
+
+  const message = createSignedMessage('team', owner.publicKey, owner.privateKey);
+  const envelope = encryptGroupMessage(message, owner.publicKey, owner.privateKey, 1, groupKeys.get(1));
+  assert.ok(verifyGroupMessage(envelope));
+  assert.deepEqual(decryptGroupMessage(envelope, groupKeys), message);
+
+  const changed = { ...envelope, ciphertext: tamper(envelope.ciphertext) };
+  assert.equal(verifyGroupMessage(changed), false);
+  assert.equal(decryptGroupMessage(changed, groupKeys), null);
+});
+
+test('keystores unlock with the passphrase and reject a wrong one or a changed header', () => {
+  const { publicKey, privateKey } = generateKeypair();
+  const keys = { publicKey: publicKey.toString('hex'), privateKey: privateKey.toString('hex') };
+  const store = encryptKeystore(keys, 'correct horse');
+
+  assert.deepEqual(decryptKeystore(store, 'correct horse'), keys);
+  assert.throws(() => decryptKeystore(store, 'wrong horse'), { code: 'WRONG_PASSPHRASE' });
+  assert.throws(() => decryptKeystore({ ...store, publicKey: tamper(store.publicKey) }, 'correct horse'), { code: 'WRONG_PASSPHRASE' });
+});
+
+test('mnemonic and compact backups round-trip and reject typos', () => {
+  const { privateKey } = generateKeypair();
+
+  const words = seedToMnemonic(privateKey);
+  assert.equal(words.split(' ').length, 24);
+  assert.ok(backupToSeed(`  ${words.toUpperCase()} `).equals(privateKey));
+  const swapped = words.split(' ');
+  [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+  if (swapped[0] !== swapped[1]) {
+    assert.throws(() => backupToSeed(swapped.join(' ')));
+  }
+
+  const compact = seedToCompact(privateKey);
+  assert.ok(backupToSeed(compact.replace(/(.{8})/g, '$1-')).equals(privateKey));
+  const last = compact.length - 1;
+  assert.throws(() => backupToSeed(compact.slice(0, last) + (compact[last] === 'a' ? 'b' : 'a')), /checksum/);
+});
+
+test('the journal store replays its records and drops a torn trailing record', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  try {
+    const first = await createStore({ backend: 'journal', dir });
+    first.set('a', { seq: 1 });
+    first.set('b', { seq: 2 });
+    first.set('a', { seq: 3 });
+
+    // A write interrupted halfway leaves a record without its newline
+    const journalPath = path.join(dir, 'phonebook.journal');
+    const complete = fs.statSync(journalPath).size;
+    fs.appendFileSync(journalPath, '{"key":"c","entry":{"se');
+
+    const second = await createStore({ backend: 'journal', dir });
+    assert.deepEqual(second.get('a'), { seq: 3 });
+    assert.deepEqual(second.get('b'), { seq: 2 });
+    assert.equal(second.get('c'), undefined);
+    assert.equal(second.size, 2);
+    assert.equal(fs.statSync(journalPath).size, complete);
+    second.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { generateKeypair, signAnnounce, createDelegation } from '../lib/crypto-utils.js';
+import { requestJSON, lookupFromServer, announceToServer, announceExpectingSeqs } from '../lib/signaling-client.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PEER_SECRET = 'test-peer-secret';
+
+// Start server.js on a loopback port and wait until it answers
+async function startServer(port, env = {}) {
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), STORE_BACKEND: 'memory', PEER_SECRET, ...env },
+    stdio: 'ignore'
+  });
+  const url = `http://127.0.0.1:${port}`;
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      await requestJSON(url, 'GET', '/stats');
+      return { url, stop: () => child.kill() };
+    } catch (err) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  child.kill();
+  throw new Error(`Server on port ${port} did not start`);
+}
+
+// Wait until a server holds the given seq for a key (peers forward asynchronously)
+async function waitForSeq(url, key, seq) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const entry = await lookupFromServer(url, key);
+    if (entry?.seq === seq) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`${url} did not reach seq ${seq}`);
+}
+
+test('announceExpectingSeqs tells our own forwarded announce apart from another device', async (t) => {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const a = await startServer(port);
+  const b = await startServer(port + 1, { PEER_SERVERS: a.url });
+  t.after(() => {
+    a.stop();
+    b.stop();
+  });
+
+  const { publicKey, privateKey } = generateKeypair();
+  const key = publicKey.toString('hex');
+  const servers = [a.url, b.url];
+
+  // B forwards the announce to A before the publisher's own request reaches A
+  const ours = signAnnounce(key, 'aa'.repeat(20), 1, privateKey);
+  await announceToServer(b.url, { ...ours, expectedSeq: 0 });
+  await waitForSeq(a.url, key, 1);
+
+  const seqs = new Map([[a.url, 0], [b.url, 0]]);
+  let result = await announceExpectingSeqs(servers, ours, seqs);
+  assert.deepEqual(result.accepted.sort(), servers.sort());
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual([...seqs.values()], [1, 1]);
+
+  // Another device publishes seq 2 first: a real conflict on both servers
+  await announceToServer(b.url, { ...signAnnounce(key, 'bb'.repeat(20), 2, privateKey), expectedSeq: 1 });
+  await waitForSeq(a.url, key, 2);
+
+  result = await announceExpectingSeqs(servers, signAnnounce(key, 'cc'.repeat(20), 2, privateKey), seqs);
+  assert.deepEqual(result.accepted, []);
+  assert.deepEqual(result.conflicts.sort(), servers.sort());
+  assert.deepEqual([...seqs.values()], [2, 2]);
+
+  // A server that is merely behind what we expect is retried with its own seq
+  seqs.set(a.url, 5);
+  result = await announceExpectingSeqs([a.url], signAnnounce(key, 'dd'.repeat(20), 3, privateKey), seqs);
+  assert.deepEqual(result.accepted, [a.url]);
+  assert.equal(seqs.get(a.url), 3);
+});
+
+test('peer servers check a device delegation at the time the entry was first accepted', async (t) => {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const a = await startServer(port);
+  t.after(() => a.stop());
+
+  const master = generateKeypair();
+  const device = generateKeypair();
+  const key = master.publicKey.toString('hex');
+  const delegation = createDelegation(key, device.publicKey.toString('hex'), master.privateKey, { expiresAt: Date.now() + 1000 });
+  const announce = seq => signAnnounce(key, 'ee'.repeat(20), seq, device.privateKey, null, delegation);
+
+  await announceToServer(a.url, announce(1));
+  await new Promise(resolve => setTimeout(resolve, delegation.expiresAt - Date.now() + 100));
+
+  // Without the peer secret, the updatedAt of an announce is ignored
+  await assert.rejects(announceToServer(a.url, { ...announce(2), updatedAt: delegation.createdAt }), { statusCode: 403 });
+
+  // B syncs from A on startup and keeps the time A accepted the entry at, before the expiry
+  const b = await startServer(port + 1, { PEER_SERVERS: a.url });
+  t.after(() => b.stop());
+  await waitForSeq(b.url, key, 1);
+  const synced = await lookupFromServer(b.url, key);
+  assert.equal(synced.updatedAt, (await lookupFromServer(a.url, key)).updatedAt);
+
+  // An announce forwarded by a peer is checked at the time the peer accepted it
+  await announceToServer(b.url, { ...announce(2), updatedAt: synced.updatedAt }, { 'X-Peer-Secret': PEER_SECRET });
+  assert.equal((await lookupFromServer(b.url, key)).seq, 2);
+});